@@ -0,0 +1,195 @@
+// Central configuration, read once from the environment (dotenv is loaded in server.js)
+const path = require('path');
+
+const list = (value, fallback) => {
+  if (!value) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+// Per-window limits as "<all requests>/<uncached requests>", e.g. RATE_LIMIT_FREE_SUMMARIZE=60/10
+const limits = (name, cheap, expensive) => {
+  const [envCheap, envExpensive] = (process.env[name] || '').split('/').map(value => parseInt(value, 10));
+  return { cheap: envCheap || cheap, expensive: envExpensive || expensive };
+};
+
+module.exports = {
+  providers: {
+    // Order in which providers are tried; can be overridden per request
+    chain: list(process.env.PROVIDER_CHAIN, ['gemini', 'huggingface', 'local'])
+  },
+
+  api: {
+    // Largest JSON body accepted; anything bigger is rejected before it's parsed.
+    // Leaves room for threadContent.html, which is usually far bigger than the text in it.
+    bodyLimit: process.env.API_BODY_LIMIT || '5mb',
+    maxHtmlChars: parseInt(process.env.MAX_HTML_CHARS, 10) || 4000000,
+    // Thread size limits, in characters: the whole thread (text, or all post bodies together) and one post
+    maxThreadChars: parseInt(process.env.MAX_THREAD_CHARS, 10) || 200000,
+    maxPostChars: parseInt(process.env.MAX_POST_CHARS, 10) || 20000
+  },
+
+  summary: {
+    // 'json' asks models for schema-validated JSON; 'text' uses the line-based prompt
+    outputMode: process.env.SUMMARY_OUTPUT_MODE || 'json',
+    // Long threads are split into chunks of this many characters (map-reduce)
+    chunkSize: parseInt(process.env.SUMMARY_CHUNK_SIZE, 10) || 4000,
+    // Upper bound on model calls spent on one summary, including the merge step
+    maxModelCalls: parseInt(process.env.SUMMARY_MAX_MODEL_CALLS, 10) || 6
+  },
+
+  language: {
+    // Language of summaries and replies when a request has no targetLanguage: 'auto' answers in the
+    // thread's own language, or a code from utils/language.js (e.g. 'en') always uses that one
+    target: process.env.LANGUAGE_TARGET || 'auto',
+    // Used for 'auto' when the thread's language can't be told (too short, mixed, unknown script)
+    fallback: process.env.LANGUAGE_FALLBACK || 'en'
+  },
+
+  reading: {
+    // Reading speed for timeToRead: words per minute, and characters per minute for CJK text
+    wpm: parseInt(process.env.READING_WPM, 10) || 200,
+    cjkCpm: parseInt(process.env.READING_CJK_CPM, 10) || 500
+  },
+
+  sentiment: {
+    // 'local' uses the lexicon analyzer only; 'model' asks the provider chain first
+    analyzer: process.env.SENTIMENT_ANALYZER || 'local'
+  },
+
+  cache: {
+    // memory (default), file (persists across restarts) or redis (any Redis-compatible server)
+    store: process.env.CACHE_STORE || 'memory',
+    ttlSeconds: parseInt(process.env.CACHE_TTL_SECONDS, 10) || 1800,
+    // Answers from a fallback provider (or with failed chunks) are kept briefly and upgraded
+    // in the background, at most once per retry interval, while they're still being requested
+    fallbackTtlSeconds: parseInt(process.env.CACHE_FALLBACK_TTL_SECONDS, 10) || 120,
+    upgradeRetrySeconds: parseInt(process.env.CACHE_UPGRADE_RETRY_SECONDS, 10) || 30,
+    // LRU bounds for the memory and file stores
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000,
+    maxBytes: parseInt(process.env.CACHE_MAX_BYTES, 10) || 50 * 1024 * 1024,
+    filePath: process.env.CACHE_FILE || path.join(__dirname, '..', 'data', 'cache.json'),
+    redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    keyPrefix: process.env.REDIS_KEY_PREFIX || 'thread-summarizer:cache:'
+  },
+
+  // Incremental summaries (/api/summarize/incremental): what was summarized so far, per client and thread id.
+  // Local only: memory (default) or file (survives restarts). A session expires this long after its last update.
+  sessions: {
+    store: process.env.SESSION_STORE || 'memory',
+    ttlSeconds: parseInt(process.env.SESSION_TTL_SECONDS, 10) || 6 * 3600,
+    maxEntries: parseInt(process.env.SESSION_MAX_ENTRIES, 10) || 1000,
+    maxBytes: parseInt(process.env.SESSION_MAX_BYTES, 10) || 100 * 1024 * 1024,
+    // Posts kept for sentiment and quote attribution; the oldest are dropped past this (their points stay in the summary)
+    maxThreadChars: parseInt(process.env.SESSION_MAX_THREAD_CHARS, 10) || 1000000,
+    filePath: process.env.SESSION_FILE || path.join(__dirname, '..', 'data', 'sessions.json')
+  },
+
+  auth: {
+    // When false, requests without a key are still served (limited per IP); a key that is sent must be valid
+    requireApiKey: process.env.REQUIRE_API_KEY === 'true',
+    keysFile: process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json'),
+    // Admin endpoints are disabled unless this is set
+    adminToken: process.env.ADMIN_TOKEN,
+    usageHistoryDays: 30,
+    // Requests per key per UTC day; a key's own dailyQuota overrides its tier
+    tiers: {
+      free: { dailyQuota: parseInt(process.env.FREE_DAILY_QUOTA, 10) || 200 },
+      pro: { dailyQuota: parseInt(process.env.PRO_DAILY_QUOTA, 10) || 5000 }
+    }
+  },
+
+  rateLimits: {
+    windowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 10) || 60,
+    // Per client (API key, or IP when anonymous) and route. "cheap" counts every request, cache hits
+    // included; "expensive" only the ones that reach a provider. Keys with an unlisted tier use free.
+    tiers: {
+      anonymous: {
+        summarize: limits('RATE_LIMIT_ANONYMOUS_SUMMARIZE', 60, 10),
+        reply: limits('RATE_LIMIT_ANONYMOUS_REPLY', 60, 5)
+      },
+      free: {
+        summarize: limits('RATE_LIMIT_FREE_SUMMARIZE', 60, 10),
+        reply: limits('RATE_LIMIT_FREE_REPLY', 60, 5)
+      },
+      pro: {
+        summarize: limits('RATE_LIMIT_PRO_SUMMARIZE', 300, 60),
+        reply: limits('RATE_LIMIT_PRO_REPLY', 300, 30)
+      }
+    }
+  },
+
+  breaker: {
+    // A circuit opens after failureThreshold failures in a row, or when at least minimumCalls of the
+    // last windowSize calls failed at errorRateThreshold or more; quota errors open it straight away
+    windowSize: 20,
+    minimumCalls: 5,
+    failureThreshold: parseInt(process.env.BREAKER_FAILURE_THRESHOLD, 10) || 3,
+    errorRateThreshold: 0.5,
+    // Open time before a probe; doubles after each failed probe up to the maximum
+    cooldownSeconds: parseInt(process.env.BREAKER_COOLDOWN_SECONDS, 10) || 30,
+    maxCooldownSeconds: parseInt(process.env.BREAKER_MAX_COOLDOWN_SECONDS, 10) || 600,
+    quotaCooldownSeconds: parseInt(process.env.BREAKER_QUOTA_COOLDOWN_SECONDS, 10) || 60,
+    // Models that are gone or don't support the task (HTTP 404 or 410) wait this long before a probe
+    unavailableCooldownSeconds: parseInt(process.env.BREAKER_UNAVAILABLE_COOLDOWN_SECONDS, 10) || 900
+  },
+
+  health: {
+    // Deep readiness probes hit the providers; their results are reused for this long
+    probeCacheSeconds: parseInt(process.env.HEALTH_PROBE_CACHE_SECONDS, 10) || 30
+  },
+
+  metrics: {
+    // Optional Bearer token for /metrics; open when unset (keep it off the public internet)
+    token: process.env.METRICS_TOKEN
+  },
+
+  logging: {
+    // debug, info, warn or error; one JSON object per line, debug and info on stdout, warn and error on stderr
+    level: process.env.LOG_LEVEL || 'info',
+    // Thread text and model output are replaced by their length unless LOG_REDACT=false.
+    // API keys and tokens are always redacted.
+    redact: process.env.LOG_REDACT !== 'false'
+  },
+
+  // Offline stand-ins for gemini, huggingface and openai, for tests and local development.
+  // MOCK_FAIL lists providers that should fail, MOCK_LATENCY_MS delays every mock call.
+  mock: {
+    enabled: process.env.MOCK_PROVIDERS === 'true',
+    fail: list(process.env.MOCK_FAIL, []),
+    latencyMs: parseInt(process.env.MOCK_LATENCY_MS, 10) || 0
+  },
+
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
+  },
+
+  huggingface: {
+    apiKey: process.env.HUGGINGFACE_API_KEY,
+    // Tried in this order until models build up a track record; after that, healthier and faster
+    // models move to the front and failing ones are skipped while their circuit is open
+    summaryModels: list(process.env.HF_SUMMARY_MODELS, [
+      'sshleifer/distilbart-cnn-12-6', // Lighter, faster version
+      'facebook/bart-large-cnn',       // High-quality abstractive
+      'google/t5-small',               // Versatile, multi-task
+      'google/t5-base',                // Better speed/performance trade-off
+      'csebuetnlp/mT5_multilingual_XLSum' // 45 languages; summarizes in the input language
+    ]),
+    replyModels: list(process.env.HF_REPLY_MODELS, [
+      'google/t5-base',      // Good for text generation
+      'google/t5-small',     // Faster alternative
+      'gpt2'                 // Always available fallback
+    ]),
+    // Models that handle more than English; the rest only get English threads with English output.
+    // None of them translate, so threads answered in another language go to the next provider.
+    multilingualModels: list(process.env.HF_MULTILINGUAL_MODELS, ['csebuetnlp/mT5_multilingual_XLSum']),
+    // Characters per model call; these models take short inputs, so long threads are chunked to this size
+    maxInputChars: parseInt(process.env.HF_MAX_INPUT_CHARS, 10) || 800
+  },
+
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+  }
+};
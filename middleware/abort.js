@@ -0,0 +1,20 @@
+const { cancelledError, cancellations } = require('../utils/timeout');
+const { logger } = require('../utils/logger');
+
+// req.signal aborts when the client disconnects before the response is finished,
+// so provider calls made for this request can be cancelled instead of running on
+function abortOnDisconnect(req, res, next) {
+  const controller = new AbortController();
+  req.signal = controller.signal;
+
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    cancellations.disconnects++;
+    logger.info('Client disconnected, cancelling request', { method: req.method, path: req.originalUrl.split('?')[0], requestId: req.id });
+    controller.abort(cancelledError('Client disconnected'));
+  });
+
+  next();
+}
+
+module.exports = { abortOnDisconnect };
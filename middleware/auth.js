@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const config = require('../config');
+const keyStore = require('../utils/keyStore');
+const metrics = require('../utils/metrics');
+const { sendProblem } = require('../utils/problem');
+
+// Key from "X-API-Key: <key>" or "Authorization: Bearer <key>"
+function presentedKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const authorization = req.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Validates the API key and sets req.apiKey; anonymous requests pass unless keys are required
+function apiKeyAuth(req, res, next) {
+  const key = presentedKey(req);
+
+  if (!key) {
+    if (config.auth.requireApiKey) {
+      return sendProblem(res, 401, 'An API key is required (X-API-Key header)');
+    }
+    return next();
+  }
+
+  const record = keyStore.verify(key);
+  if (!record) {
+    return sendProblem(res, 401, 'Invalid or revoked API key');
+  }
+
+  req.apiKey = record;
+  next();
+}
+
+// Per-key, per-UTC-day quota; counts the request against `route` when it's let through
+const dailyQuota = (route) => (req, res, next) => {
+  if (!req.apiKey) return next();
+
+  const quota = keyStore.dailyQuota(req.apiKey);
+  const used = keyStore.usedToday(req.apiKey);
+
+  if (used >= quota) {
+    metrics.quotaRejections.inc({ route });
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    const retryAfter = Math.ceil((midnight - Date.now()) / 1000);
+
+    res.set('Retry-After', String(retryAfter));
+    return sendProblem(res, 429, `Daily quota of ${quota} requests used up. It resets at 00:00 UTC.`, {
+      kind: 'quota',
+      retryAfter
+    });
+  }
+
+  keyStore.recordUsage(req.apiKey, route);
+  next();
+};
+
+// Constant-time check of "Authorization: Bearer <token>" against a configured secret
+function hasBearerToken(req, expected) {
+  const authorization = req.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  const given = Buffer.from(match ? match[1].trim() : '');
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+// Admin endpoints: 404 unless ADMIN_TOKEN is configured, 401 unless it's presented as a Bearer token
+function requireAdmin(req, res, next) {
+  const expected = config.auth.adminToken;
+  if (!expected) {
+    return sendProblem(res, 404, 'Admin API is disabled');
+  }
+
+  if (!hasBearerToken(req, expected)) {
+    return sendProblem(res, 401, 'Invalid admin token');
+  }
+  next();
+}
+
+// /metrics: open unless METRICS_TOKEN is set
+function requireMetricsToken(req, res, next) {
+  const expected = config.metrics.token;
+  if (expected && !hasBearerToken(req, expected)) {
+    return sendProblem(res, 401, 'Invalid metrics token');
+  }
+  next();
+}
+
+module.exports = { apiKeyAuth, dailyQuota, requireAdmin, requireMetricsToken };
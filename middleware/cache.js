@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const config = require('../config');
+const providers = require('../utils/providers');
+const { normalizeThread } = require('../utils/thread');
+const responseCache = require('../utils/cache');
+const { logger } = require('../utils/logger');
+
+// Same words in the same order give the same key, whatever the spacing or Unicode form
+const normalizeText = text => (typeof text === 'string' ? text.normalize('NFC').replace(/\s+/g, ' ').trim() : text);
+
+// JSON with object keys sorted, so { a, b } and { b, a } hash alike
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// What decides the response: the normalized thread, the options, the provider chain
+// that would serve it and, for replies, the summary being replied to
+function requestFingerprint(route, { threadContent, summary, options = {} }) {
+  // regenerate only decides whether the cache is read, not what the answer is
+  const { providers: requested, regenerate, ...rest } = options;
+  const normalized = normalizeThread(threadContent);
+  const thread = normalized.posts
+    ? normalized.posts.map(post => ({ ...post, text: normalizeText(post.text) }))
+    : normalizeText(normalized.text);
+
+  return {
+    thread,
+    options: rest,
+    providers: providers.resolveChain(requested),
+    summary: route === 'reply' ? { keyPoints: summary.keyPoints.map(normalizeText) } : undefined
+  };
+}
+
+function cacheKey(route, body) {
+  const hash = crypto.createHash('sha256').update(stableStringify(requestFingerprint(route, body))).digest('hex');
+  return `${responseCache.ROUTE_PREFIXES[route]}${hash}`;
+}
+
+// Degraded answers: served by a fallback provider, or summaries missing some chunks
+function isDegraded(body) {
+  return Boolean(body.fallback || (body.summary && body.summary.chunks && body.summary.chunks.failed > 0));
+}
+
+// Cache policy: errors are never stored, degraded answers only briefly
+function ttlFor(res, body) {
+  if (res.statusCode >= 400 || !body || body.success !== true) return null;
+  return isDegraded(body) ? config.cache.fallbackTtlSeconds : config.cache.ttlSeconds;
+}
+
+// Background upgrades in flight or recently tried, by cache key
+const upgrades = new Map();
+
+// Recompute a degraded entry once a provider ahead of the one that answered is available again;
+// the result replaces the entry only if it's better. Never throws: the request was already served.
+function upgradeEntry(key, requestBody, cached, compute) {
+  const last = upgrades.get(key);
+  if (last && (last.running || Date.now() - last.at < config.cache.upgradeRetrySeconds * 1000)) return;
+
+  const chain = providers.resolveChain((requestBody.options || {}).providers);
+  const index = chain.indexOf(cached.provider);
+  // Providers ahead of the one that answered; the whole chain when the first one answered with failed chunks
+  const preferred = index > 0 ? chain.slice(0, index) : chain;
+  if (!preferred.some(name => providers.isAvailable(name))) return;
+
+  const attempt = { running: true, at: Date.now() };
+  upgrades.set(key, attempt);
+  logger.info('Upgrading degraded cache entry', { cacheKey: key, provider: cached.provider });
+
+  compute(requestBody)
+    .then(async body => {
+      if (isDegraded(body)) {
+        logger.info('Cache upgrade was still degraded', { cacheKey: key, provider: body.provider });
+        return;
+      }
+      await responseCache.set(key, body, config.cache.ttlSeconds);
+      logger.info('Upgraded cache entry', { cacheKey: key, provider: body.provider });
+      upgrades.delete(key);
+    })
+    .catch(error => logger.warn('Cache upgrade failed', { cacheKey: key, error }))
+    .finally(() => { attempt.running = false; });
+
+  // Forget attempts for entries that have long expired
+  if (upgrades.size > 1000) {
+    const cutoff = Date.now() - config.cache.fallbackTtlSeconds * 1000;
+    upgrades.forEach((entry, entryKey) => { if (!entry.running && entry.at < cutoff) upgrades.delete(entryKey); });
+  }
+}
+
+// Serve and store responses under a content-addressed key. Bodies the route will reject
+// (missing thread, bad posts, unknown provider) can't be fingerprinted and go straight through.
+// compute(body) must resolve to the route's response body; it's used to upgrade degraded entries.
+// options.regenerate skips the lookup, and the fresh answer replaces the cached one.
+const cacheMiddleware = (route, compute) => async (req, res, next) => {
+  let key;
+  try {
+    key = cacheKey(route, req.body || {});
+  } catch (error) {
+    return next();
+  }
+
+  const regenerate = Boolean(req.body.options && req.body.options.regenerate === true);
+
+  try {
+    const cachedResponse = regenerate ? undefined : await responseCache.get(key);
+    if (cachedResponse) {
+      if (isDegraded(cachedResponse)) {
+        upgradeEntry(key, req.body, cachedResponse, compute);
+      }
+      return res.json({ ...cachedResponse, fromCache: true });
+    }
+  } catch (error) {
+    // A cache outage shouldn't take the API down with it
+    logger.error('Cache read failed', { error });
+  }
+
+  // Override res.json to cache the response
+  const originalJson = res.json;
+  res.json = function(body) {
+    const ttl = ttlFor(res, body);
+    if (ttl) {
+      responseCache.set(key, body, ttl).catch(error => logger.error('Cache write failed', { error }));
+    }
+    // Error bodies (problem details) are passed through as they are
+    return originalJson.call(this, body && body.success ? { ...body, fromCache: false } : body);
+  };
+
+  next();
+};
+
+module.exports = { cacheMiddleware, cacheKey, isDegraded };
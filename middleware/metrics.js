@@ -0,0 +1,20 @@
+const metrics = require('../utils/metrics');
+
+// Count and time every request once it's done. Routes are labelled by their pattern
+// (/api/admin/keys/:id), never the raw URL, so label cardinality stays bounded.
+function requestMetrics(req, res, next) {
+  const started = Date.now();
+
+  res.once('close', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    // Closed before the response was complete: the client went away
+    const status = res.writableFinished ? res.statusCode : 499;
+    const labels = { route, method: req.method, status };
+    metrics.httpRequests.inc(labels);
+    metrics.httpDuration.observeSince(labels, started);
+  });
+
+  next();
+}
+
+module.exports = { requestMetrics };
@@ -0,0 +1,62 @@
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const config = require('../config');
+const metrics = require('../utils/metrics');
+const { sendProblem } = require('../utils/problem');
+
+// One limiter per tier, route and bucket, created on first use
+const limiters = new Map();
+
+function tierOf(req) {
+  if (!req.apiKey) return 'anonymous';
+  return config.rateLimits.tiers[req.apiKey.tier] ? req.apiKey.tier : 'free';
+}
+
+function limiterFor(tier, route, bucket) {
+  const id = `${tier}:${route}:${bucket}`;
+  if (!limiters.has(id)) {
+    limiters.set(id, new RateLimiterMemory({
+      keyPrefix: id,
+      points: config.rateLimits.tiers[tier][route][bucket],
+      duration: config.rateLimits.windowSeconds
+    }));
+  }
+  return limiters.get(id);
+}
+
+// RateLimit-* headers (IETF draft) from a limiter result; a later bucket overwrites an earlier one's
+function setHeaders(res, limiter, result) {
+  res.set({
+    'RateLimit-Limit': String(limiter.points),
+    'RateLimit-Remaining': String(Math.max(result.remainingPoints, 0)),
+    'RateLimit-Reset': String(Math.ceil(result.msBeforeNext / 1000))
+  });
+}
+
+// Consume one point from the route's bucket: 'cheap' goes before the cache, 'expensive' after it
+const rateLimit = (route, bucket) => async (req, res, next) => {
+  // Per key when one was presented, so installs behind the same NAT don't share a bucket
+  const clientId = req.apiKey
+    ? `key:${req.apiKey.id}`
+    : req.ip || req.headers['x-forwarded-for'] || 'anonymous';
+  const tier = tierOf(req);
+  const limiter = limiterFor(tier, route, bucket);
+
+  try {
+    setHeaders(res, limiter, await limiter.consume(clientId));
+    next();
+  } catch (rejRes) {
+    if (rejRes instanceof Error) {
+      return next(rejRes);
+    }
+    metrics.rateLimitRejections.inc({ route, bucket, tier });
+    const retryAfter = Math.max(Math.ceil(rejRes.msBeforeNext / 1000), 1);
+    setHeaders(res, limiter, rejRes);
+    res.set('Retry-After', String(retryAfter));
+    sendProblem(res, 429, `Too many requests. Please try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`, {
+      kind: 'rateLimit',
+      retryAfter
+    });
+  }
+};
+
+module.exports = { rateLimit };
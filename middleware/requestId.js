@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const { logger, withRequestId } = require('../utils/logger');
+
+// Callers (or a proxy in front of us) may pass their own ID; anything unusual is replaced
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+// Tags the request with an ID, returned as X-Request-Id and attached to every log line written
+// while serving it. Also writes one access log line per request.
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const started = Date.now();
+  res.once('close', () => {
+    const status = res.writableFinished ? res.statusCode : 499;
+    const fields = {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status,
+      durationMs: Date.now() - started,
+      requestId: req.id
+    };
+    if (status >= 500) logger.error('Request failed', fields);
+    else logger.info('Request completed', fields);
+  });
+
+  withRequestId(req.id, next);
+}
+
+module.exports = { requestId };
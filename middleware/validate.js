@@ -0,0 +1,20 @@
+const { validate } = require('../utils/schema');
+const { sendProblem } = require('../utils/problem');
+
+// Reject bodies that don't match `schema` with a 400 problem listing every field-level error.
+// check(body), optional, adds problems the schema can't express; it only runs on bodies that match.
+const validateBody = (schema, check) => (req, res, next) => {
+  const body = req.body === undefined ? {} : req.body;
+  let errors = validate(schema, body);
+  if (errors.length === 0 && check) {
+    errors = check(body);
+  }
+
+  if (errors.length > 0) {
+    const detail = errors.length === 1 ? errors[0].detail : `The request body has ${errors.length} problems`;
+    return sendProblem(res, 400, detail, { kind: 'validation', errors });
+  }
+  next();
+};
+
+module.exports = { validateBody };
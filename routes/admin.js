@@ -0,0 +1,118 @@
+const express = require('express');
+const keyStore = require('../utils/keyStore');
+const responseCache = require('../utils/cache');
+const { requireAdmin } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { sendProblem } = require('../utils/problem');
+const { CreateKeyRequest } = require('../utils/schemas');
+const router = express.Router();
+
+// Everything here needs the admin token
+router.use(requireAdmin);
+
+// Cache stores are async (and may be remote), so pass rejections on to Express
+const asyncRoute = handler => (req, res, next) => handler(req, res).catch(next);
+
+// Usage for one key: today's total against its quota plus per-day history
+function withUsage(record) {
+  const { usage, ...rest } = record;
+  const usedToday = keyStore.usedToday(record);
+  return {
+    ...rest,
+    dailyQuota: keyStore.dailyQuota(record),
+    usedToday,
+    history: usage
+  };
+}
+
+// Create a key; the plain key is only ever returned here
+router.post('/keys', validateBody(CreateKeyRequest), (req, res) => {
+  const { name, tier = 'free', dailyQuota } = req.body || {};
+
+  const { key, record } = keyStore.create({ name, tier, dailyQuota: dailyQuota === undefined ? null : dailyQuota });
+  res.status(201).json({ success: true, key, apiKey: withUsage(record) });
+});
+
+router.get('/keys', (req, res) => {
+  res.json({ success: true, keys: keyStore.list().map(withUsage) });
+});
+
+router.get('/keys/:id', (req, res) => {
+  const record = keyStore.get(req.params.id);
+  if (!record) {
+    return sendProblem(res, 404, 'No such API key');
+  }
+  res.json({ success: true, apiKey: withUsage(record) });
+});
+
+// Revoking keeps the record (and its usage) for auditing
+router.delete('/keys/:id', (req, res) => {
+  const record = keyStore.revoke(req.params.id);
+  if (!record) {
+    return sendProblem(res, 404, 'No such API key');
+  }
+  res.json({ success: true, apiKey: withUsage(record) });
+});
+
+// Cache stats: key counts per route, hits, misses and memory
+router.get('/cache', asyncRoute(async (req, res) => {
+  res.json({ success: true, cache: await responseCache.stats() });
+}));
+
+// List keys, optionally under one route or key prefix
+router.get('/cache/keys', asyncRoute(async (req, res) => {
+  const prefix = cachePrefix(req.query);
+  if (prefix === undefined) {
+    return sendProblem(res, 400, `route must be one of: ${Object.keys(responseCache.ROUTE_PREFIXES).join(', ')}`);
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const keys = await responseCache.keys(prefix || '');
+  res.json({ success: true, total: keys.length, keys: keys.slice(0, limit) });
+}));
+
+// Inspect one entry by its full key (e.g. summarize:<sha256>)
+router.get('/cache/entry', asyncRoute(async (req, res) => {
+  const entry = typeof req.query.key === 'string' ? await responseCache.inspect(req.query.key) : null;
+  if (!entry) {
+    return sendProblem(res, 404, 'No such cache entry');
+  }
+  res.json({ success: true, entry });
+}));
+
+router.delete('/cache/entry', asyncRoute(async (req, res) => {
+  const deleted = typeof req.query.key === 'string' ? await responseCache.del(req.query.key) : 0;
+  if (!deleted) {
+    return sendProblem(res, 404, 'No such cache entry');
+  }
+  res.json({ success: true, deleted });
+}));
+
+// Evict by route or key prefix; flushing everything needs an explicit ?all=true
+router.delete('/cache', asyncRoute(async (req, res) => {
+  const prefix = cachePrefix(req.query);
+  if (prefix === undefined) {
+    return sendProblem(res, 400, `route must be one of: ${Object.keys(responseCache.ROUTE_PREFIXES).join(', ')}`);
+  }
+  if (!prefix && req.query.all !== 'true') {
+    return sendProblem(res, 400, 'Pass route, prefix, or all=true to flush the whole cache');
+  }
+
+  let deleted;
+  if (prefix) {
+    deleted = await responseCache.evictPrefix(prefix);
+  } else {
+    deleted = (await responseCache.keys()).length;
+    await responseCache.flush();
+  }
+  res.json({ success: true, deleted });
+}));
+
+// ?route=summarize or ?prefix=...; '' for no filter, undefined for an unknown route
+function cachePrefix(query) {
+  if (query.route !== undefined) {
+    return responseCache.ROUTE_PREFIXES[query.route];
+  }
+  return typeof query.prefix === 'string' ? query.prefix : '';
+}
+
+module.exports = router;
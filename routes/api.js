@@ -1,120 +1,203 @@
 const express = require('express');
-const NodeCache = require('node-cache');
-const geminiService = require('../utils/gemini');
+const providers = require('../utils/providers');
+const { threadContentErrors, normalizeThread } = require('../utils/thread');
+const { randomSeed } = require('../utils/random');
+const { problemBody, sendProblem } = require('../utils/problem');
+const { openApiDocument } = require('../utils/openapi');
+const sessions = require('../utils/sessions');
+const { SummarizeRequest, IncrementalSummarizeRequest, ReplyRequest } = require('../utils/schemas');
+const { apiKeyAuth, dailyQuota } = require('../middleware/auth');
+const { cacheMiddleware } = require('../middleware/cache');
+const { rateLimit } = require('../middleware/rateLimit');
+const { abortOnDisconnect } = require('../middleware/abort');
+const { validateBody } = require('../middleware/validate');
+
 const router = express.Router();
 
-// Cache setup
-const cache = new NodeCache({ stdTTL: 1800 }); // 30 minutes
+// Every request gets req.signal, aborted if the client goes away mid-request
+router.use(abortOnDisconnect);
 
-// Enhanced rate limiting
-const { RateLimiterMemory } = require('rate-limiter-flexible');
+// Schema checks plus the thread checks a schema can't express (duplicate ids, dangling parentIds, unreadable html)
+const validSummarizeRequest = validateBody(SummarizeRequest, body => threadContentErrors(body.threadContent));
+const validReplyRequest = validateBody(ReplyRequest, body => threadContentErrors(body.threadContent));
+// Updates may reply to posts sent in earlier requests
+const validIncrementalRequest = validateBody(IncrementalSummarizeRequest, body => threadContentErrors(body.threadContent, { externalParents: Boolean(body.cursor) }));
 
-const summaryRateLimiter = new RateLimiterMemory({
-  points: 10, // 10 requests
-  duration: 60, // per minute
-});
+// Status and problem options for an error thrown while answering
+function failure(error) {
+  if (error.statusCode === 400) return { status: 400 };
+  if (error.statusCode === 409) return { status: 409, options: { kind: 'session' } };
+  return { status: 500, options: error.providersFailed ? { kind: 'providers' } : {} };
+}
 
-const replyRateLimiter = new RateLimiterMemory({
-  points: 5, // 5 requests
-  duration: 60, // per minute
-});
+// Response bodies for valid requests, tagged with the provider that answered and whether it
+// was a fallback. The cache also calls these (without a signal) to upgrade degraded entries in the background.
+async function summarizeResponse({ threadContent, options = {} }, signal) {
+  const thread = normalizeThread(threadContent);
+  const { provider, fallback, result: summary } = await providers.summarize(thread, { ...options, signal });
+  return withExtracted({ success: true, provider, fallback, summary }, thread, options);
+}
 
-// Cache middleware
-function cacheMiddleware(req, res, next) {
-  const cacheKey = req.originalUrl + JSON.stringify(req.body);
-  const cachedResponse = cache.get(cacheKey);
-  
-  if (cachedResponse) {
-    return res.json({ ...cachedResponse, fromCache: true });
-  }
-  
-  // Override res.json to cache the response
-  const originalJson = res.json;
-  res.json = function(body) {
-    cache.set(cacheKey, body);
-    return originalJson.call(this, { ...body, fromCache: false });
+// options.includeExtracted: add the thread as the providers saw it, to debug html extraction and cleanup
+function withExtracted(body, thread, options) {
+  if (!options.includeExtracted) return body;
+  return {
+    ...body,
+    extracted: {
+      extractor: thread.extractor || null,
+      platform: thread.platform || 'generic',
+      title: thread.title || null,
+      posts: thread.posts ? thread.posts.length : null,
+      text: thread.text
+    }
+  };
+}
+
+// Sessions belong to the client that made them (API key, or IP when anonymous), as rate limits do
+const sessionOwner = req => (req.apiKey ? `key:${req.apiKey.id}` : req.ip || 'anonymous');
+
+// Start a thread's session (no cursor: threadContent is the whole thread), or bring it up to date with
+// what was added since the cursor was handed out (see utils/sessions.js). Throws a 409 error when the
+// cursor isn't the session's latest or the session has expired: the client should start over.
+function incrementalSummaryResponse(owner, { threadId, cursor, threadContent, options = {} }, signal) {
+  return sessions.exclusive(owner, threadId, async () => {
+    const thread = normalizeThread(threadContent);
+    const stored = ({ platform, posts, text }) => (posts ? { platform, posts } : { platform, text });
+
+    if (!cursor) {
+      const { provider, fallback, result: summary } = await providers.summarize(thread, { ...options, signal });
+      const session = await sessions.save(owner, threadId, { thread: stored(thread), summary, provider });
+      const newPosts = thread.posts ? thread.posts.length : null;
+      return withExtracted(sessionBody(session, { provider, fallback, newPosts, changes: null }), thread, options);
+    }
+
+    const previous = await sessions.get(owner, threadId);
+    if (!previous || previous.cursor !== cursor) {
+      const error = new Error(previous
+        ? 'cursor is out of date: the session was updated since. Send the whole thread without a cursor to start over'
+        : 'No session for this threadId (it may have expired). Send the whole thread without a cursor to start over');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const { thread: combined, added } = sessions.appendThread(previous.thread, thread);
+    const newPosts = added.posts ? added.posts.length : null;
+    // Only posts that were already sent: nothing to summarize, but the session stays alive
+    if (newPosts === 0) {
+      const session = await sessions.save(owner, threadId, previous);
+      return withExtracted(sessionBody(session, { provider: previous.provider, fallback: false, newPosts, changes: [] }), added, options);
+    }
+
+    const { provider, fallback, result } = await providers.updateSummary(combined, previous.summary, added, { ...options, signal });
+    const { changes, ...summary } = result;
+    const session = await sessions.save(owner, threadId, { ...previous, thread: stored(combined), summary, provider });
+    return withExtracted(sessionBody(session, { provider, fallback, newPosts, changes }), added, options);
+  });
+}
+
+function sessionBody(session, { provider, fallback, newPosts, changes }) {
+  return {
+    success: true,
+    provider,
+    fallback,
+    threadId: session.threadId,
+    cursor: session.cursor,
+    revision: session.revision,
+    expiresAt: session.expiresAt,
+    newPosts,
+    changes,
+    summary: session.summary
   };
-  
-  next();
 }
 
-// Rate limiting middleware
-const rateLimitMiddleware = (rateLimiter) => async (req, res, next) => {
+async function replyResponse({ threadContent, summary, options = {} }, signal) {
+  // The seed is returned so a reply can be reproduced (exactly for the template fallback)
+  const seed = options.seed !== undefined ? options.seed : randomSeed();
+  const { provider, fallback, language, result: variants } = await providers.reply(normalizeThread(threadContent), summary, { ...options, seed, signal });
+  // `reply` keeps the first variant for clients that only want one
+  return { success: true, provider, fallback, seed, language, reply: variants[0].text, variants };
+}
+
+// Summarize thread endpoint
+router.post('/summarize', apiKeyAuth, rateLimit('summarize', 'cheap'), validSummarizeRequest, cacheMiddleware('summarize', summarizeResponse), rateLimit('summarize', 'expensive'), dailyQuota('summarize'), async (req, res) => {
   try {
-    const clientId = req.ip || req.headers['x-forwarded-for'] || 'anonymous';
-    await rateLimiter.consume(clientId);
-    next();
-  } catch (rejRes) {
-    res.status(429).json({ 
-      error: 'Rate limit exceeded',
-      message: 'Too many requests. Please try again in a minute.',
-      retryAfter: 60
-    });
+    res.json(await summarizeResponse(req.body, req.signal));
+  } catch (error) {
+    if (error.cancelled) {
+      // Nobody is listening; 499 (client closed request) is for the logs
+      return res.status(499).end();
+    }
+    const { status, options } = failure(error);
+    sendProblem(res, status, error.message || 'Failed to summarize thread', options);
   }
-};
+});
 
-// Summarize thread endpoint
-router.post('/summarize', cacheMiddleware, rateLimitMiddleware(summaryRateLimiter), async (req, res) => {
+// Incremental summary of a growing thread: only new posts are sent and summarized each time
+router.post('/summarize/incremental', apiKeyAuth, rateLimit('summarize', 'cheap'), validIncrementalRequest, rateLimit('summarize', 'expensive'), dailyQuota('summarize'), async (req, res) => {
   try {
-    const { threadContent } = req.body;
-    
-    if (!threadContent || !threadContent.text) {
-      return res.status(400).json({ 
-        error: 'Bad Request',
-        message: 'Thread content is required' 
-      });
+    res.json(await incrementalSummaryResponse(sessionOwner(req), req.body, req.signal));
+  } catch (error) {
+    if (error.cancelled) {
+      return res.status(499).end();
     }
-    
-    const summary = await geminiService.summarizeThread(threadContent);
-    res.json({ success: true, summary });
+    const { status, options } = failure(error);
+    sendProblem(res, status, error.message || 'Failed to summarize thread', options);
+  }
+});
+
+// Streaming summary over Server-Sent Events (POST, so read it with fetch rather than EventSource).
+// Events: delta { provider, text } while the model writes, fallback { from, to, reason } when the
+// provider changes mid-way (discard earlier deltas), then summary { success, provider, fallback, summary }
+// or error (a problem details object). Invalid requests get a plain 400 problem response instead.
+router.post('/summarize/stream', apiKeyAuth, rateLimit('summarize', 'cheap'), validSummarizeRequest, rateLimit('summarize', 'expensive'), dailyQuota('summarize'), async (req, res) => {
+  const { threadContent, options = {} } = req.body;
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const send = (event, data) => {
+    if (!req.signal.aborted) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  
+  try {
+    const thread = normalizeThread(threadContent);
+    const { provider, fallback, result } = await providers.summarizeStream(thread, { ...options, signal: req.signal }, send);
+    send('summary', withExtracted({ success: true, provider, fallback, summary: result }, thread, options));
   } catch (error) {
-    res.status(500).json({ 
-      error: 'Internal Server Error',
-      message: error.message || 'Failed to summarize thread' 
-    });
+    const { status, options: problemOptions } = failure(error);
+    send('error', problemBody(req, status, error.message || 'Failed to summarize thread', problemOptions));
   }
+  res.end();
 });
 
 // Generate reply endpoint
-router.post('/reply', cacheMiddleware, rateLimitMiddleware(replyRateLimiter), async (req, res) => {
+router.post('/reply', apiKeyAuth, rateLimit('reply', 'cheap'), validReplyRequest, cacheMiddleware('reply', replyResponse), rateLimit('reply', 'expensive'), dailyQuota('reply'), async (req, res) => {
   try {
-    const { threadContent, summary } = req.body;
-    
-    if (!threadContent || !summary) {
-      return res.status(400).json({ 
-        error: 'Bad Request',
-        message: 'Thread content and summary are required' 
-      });
-    }
-    
-    if (!threadContent.text) {
-      return res.status(400).json({ 
-        error: 'Bad Request',
-        message: 'Thread content text is required' 
-      });
-    }
-    
-    if (!Array.isArray(summary.keyPoints)) {
-      return res.status(400).json({ 
-        error: 'Bad Request',
-        message: 'Summary must include keyPoints array' 
-      });
-    }
-    
-    const reply = await geminiService.generateReply(threadContent, summary);
-    res.json({ success: true, reply });
+    res.json(await replyResponse(req.body, req.signal));
   } catch (error) {
-    res.status(500).json({ 
-      error: 'Internal Server Error',
-      message: error.message || 'Failed to generate reply' 
-    });
+    if (error.cancelled) {
+      return res.status(499).end();
+    }
+    const { status, options } = failure(error);
+    sendProblem(res, status, error.message || 'Failed to generate reply', options);
   }
 });
 
-// Cache management endpoint (for testing)
-router.post('/clear-cache', (req, res) => {
-  cache.flushAll();
-  res.json({ success: true, message: 'Cache cleared' });
+// Available providers and the default fallback chain
+router.get('/providers', async (req, res) => {
+  res.json(await providers.health());
+});
+
+// Machine-readable description of this API, built from the same schemas the routes validate against
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument());
 });
 
 module.exports = router;
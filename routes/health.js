@@ -0,0 +1,45 @@
+const express = require('express');
+const providers = require('../utils/providers');
+const responseCache = require('../utils/cache');
+const { breakerStates } = require('../utils/circuitBreaker');
+const { cancellationStats } = require('../utils/timeout');
+const router = express.Router();
+
+// Overview kept for existing monitors
+router.get('/', (req, res) => {
+  res.json({ 
+    status: 'OK', 
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    circuits: breakerStates(),
+    cancellations: cancellationStats()
+  });
+});
+
+// Liveness: the process is up and the event loop answers. Never checks dependencies,
+// so a provider outage doesn't get the container restarted.
+router.get('/live', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+// Readiness: 503 when no provider in the default chain can take traffic. A cache outage only
+// degrades (requests still work uncached). ?deep=true also probes each configured provider.
+router.get('/ready', async (req, res) => {
+  const deep = req.query.deep === 'true';
+  const [readiness, cache] = await Promise.all([providers.readiness({ deep }), responseCache.health()]);
+
+  const probesFailed = readiness.providers.some(provider => provider.probe && !provider.probe.ok);
+  let status = 'ready';
+  if (!readiness.ready) status = 'unavailable';
+  else if (!cache.ok || probesFailed) status = 'degraded';
+
+  res.status(readiness.ready ? 200 : 503).json({
+    status,
+    timestamp: new Date().toISOString(),
+    deep,
+    providers: readiness.providers,
+    cache
+  });
+});
+
+module.exports = router;
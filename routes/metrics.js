@@ -0,0 +1,12 @@
+const express = require('express');
+const metrics = require('../utils/metrics');
+const { requireMetricsToken } = require('../middleware/auth');
+const router = express.Router();
+
+// Prometheus scrape endpoint (text exposition format)
+router.get('/', requireMetricsToken, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.registry.render());
+});
+
+module.exports = router;
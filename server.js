@@ -1,36 +1,45 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const config = require('./config');
 const apiRoutes = require('./routes/api');
+const adminRoutes = require('./routes/admin');
+const healthRoutes = require('./routes/health');
+const metricsRoutes = require('./routes/metrics');
+const { requestMetrics } = require('./middleware/metrics');
+const { requestId } = require('./middleware/requestId');
+const { logger } = require('./utils/logger');
+const { sendProblem } = require('./utils/problem');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
+app.use(requestId);
+app.use(requestMetrics);
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: config.api.bodyLimit }));
 
 // Routes
+app.use('/api/admin', adminRoutes);
 app.use('/api', apiRoutes);
+app.use('/health', healthRoutes);
+app.use('/metrics', metricsRoutes);
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
+// Unknown routes and errors passed to next() (malformed JSON, oversized bodies) get problem details too
+app.use((req, res) => {
+  sendProblem(res, 404, `No route for ${req.method} ${req.path}`);
 });
 
-// Cache info endpoint
-app.get('/cache-info', (req, res) => {
-  const NodeCache = require('node-cache');
-  res.json({ 
-    status: 'Cache info endpoint available',
-    timestamp: new Date().toISOString()
-  });
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) {
+    logger.error('Unhandled error', { error });
+  }
+  sendProblem(res, status, status < 500 ? error.message : 'Internal server error');
 });
 
 app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
+  logger.info(`Server running on port ${PORT}`, { port: Number(PORT) });
 });
@@ -0,0 +1,91 @@
+// The app logs JSON lines on stdout, which the test runner also reads its results from
+process.env.LOG_LEVEL = 'error';
+
+const os = require('os');
+const path = require('path');
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.API_KEYS_FILE = path.join(os.tmpdir(), `admin-test-keys-${process.pid}.json`);
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const apiRoutes = require('../routes/api');
+const adminRoutes = require('../routes/admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+app.use('/api', apiRoutes);
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+function admin(method, route, token = 'test-admin-token') {
+  return fetch(`${baseUrl}/api/admin${route}`, { method, headers: token ? { Authorization: `Bearer ${token}` } : {} });
+}
+
+function post(route, body) {
+  return fetch(`${baseUrl}/api${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+const thread = { text: 'Which static site generator do you use for docs?\nHugo, it builds in milliseconds.' };
+
+test('cache administration needs the admin token', async () => {
+  assert.equal((await admin('GET', '/cache', null)).status, 401);
+  assert.equal((await admin('GET', '/cache', 'not-the-token')).status, 401);
+  assert.equal((await post('/clear-cache', {})).status, 404);
+});
+
+test('stats count entries per route and cache hits', async () => {
+  await post('/summarize', { threadContent: thread, options: { providers: ['local'] } });
+  await post('/summarize', { threadContent: thread, options: { providers: ['local'] } });
+  await post('/reply', { threadContent: thread, summary: { keyPoints: ['Hugo is fast'] }, options: { providers: ['local'] } });
+
+  const { cache } = await (await admin('GET', '/cache')).json();
+  assert.deepEqual(cache.byRoute, { summarize: 1, reply: 1 });
+  assert.equal(cache.keys, 2);
+  assert.ok(cache.hits >= 1);
+  assert.ok(cache.hitRatio > 0 && cache.hitRatio < 1);
+  assert.equal(cache.store, 'memory');
+  assert.ok(cache.bytes > 0);
+});
+
+test('entries can be listed, inspected and deleted one by one', async () => {
+  const listed = await (await admin('GET', '/cache/keys?route=reply')).json();
+  assert.equal(listed.total, 1);
+
+  const key = encodeURIComponent(listed.keys[0]);
+  const { entry } = await (await admin('GET', `/cache/entry?key=${key}`)).json();
+  assert.equal(entry.route, 'reply');
+  assert.ok(Date.parse(entry.expiresAt) > Date.now());
+
+  assert.equal((await admin('DELETE', `/cache/entry?key=${key}`)).status, 200);
+  assert.equal((await admin('GET', `/cache/entry?key=${key}`)).status, 404);
+});
+
+test('flushing everything has to be asked for explicitly', async () => {
+  assert.equal((await admin('DELETE', '/cache')).status, 400);
+  assert.equal((await admin('DELETE', '/cache?route=nope')).status, 400);
+
+  const byRoute = await (await admin('DELETE', '/cache?route=summarize')).json();
+  assert.equal(byRoute.deleted, 1);
+
+  await post('/reply', { threadContent: thread, summary: { keyPoints: ['Hugo is fast'] }, options: { providers: ['local'] } });
+  const flushed = await (await admin('DELETE', '/cache?all=true')).json();
+  assert.equal(flushed.deleted, 1);
+  assert.equal((await (await admin('GET', '/cache')).json()).cache.keys, 0);
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The app logs JSON lines on stdout, which the test runner also reads its results from
+process.env.LOG_LEVEL = 'error';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+process.env.API_KEYS_FILE = path.join(dataDir, 'api-keys.json');
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const apiRoutes = require('../routes/api');
+const adminRoutes = require('../routes/admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+app.use('/api', apiRoutes);
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)).then(() => fs.rmSync(dataDir, { recursive: true, force: true })));
+
+function admin(method, route, body, token = 'test-admin-token') {
+  return fetch(`${baseUrl}/api/admin${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body && JSON.stringify(body)
+  });
+}
+
+// Each call sends a different thread, so none is answered from the cache
+let replies = 0;
+function reply(headers = {}) {
+  replies++;
+  return fetch(`${baseUrl}/api/reply`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({
+      threadContent: { text: `Question number ${replies}: does anyone know a good bakery nearby?` },
+      summary: { keyPoints: ['Looking for a bakery'] },
+      options: { providers: ['local'] }
+    })
+  });
+}
+
+test('admin endpoints need the admin token', async () => {
+  assert.equal((await admin('GET', '/keys', undefined, 'wrong-token')).status, 401);
+  assert.equal((await admin('GET', '/keys')).status, 200);
+});
+
+test('a key is refused once its daily quota is used up', async () => {
+  const created = await admin('POST', '/keys', { name: 'extension', dailyQuota: 2 });
+  assert.equal(created.status, 201);
+  const { key, apiKey } = await created.json();
+
+  assert.equal((await reply({ 'X-API-Key': key })).status, 200);
+  assert.equal((await reply({ Authorization: `Bearer ${key}` })).status, 200);
+
+  const refused = await reply({ 'X-API-Key': key });
+  assert.equal(refused.status, 429);
+  const retryAfter = Number(refused.headers.get('retry-after'));
+  assert.ok(retryAfter > 0 && retryAfter <= 24 * 3600);
+  assert.equal((await refused.json()).retryAfter, retryAfter);
+
+  const usage = await (await admin('GET', `/keys/${apiKey.id}`)).json();
+  assert.equal(usage.apiKey.usedToday, 2);
+  assert.equal(usage.apiKey.dailyQuota, 2);
+  assert.equal(usage.apiKey.hash, undefined);
+});
+
+test('unknown and revoked keys are rejected', async () => {
+  assert.equal((await reply({ 'X-API-Key': 'tsk_not-a-real-key' })).status, 401);
+
+  const { key, apiKey } = await (await admin('POST', '/keys', { name: 'to revoke' })).json();
+  assert.equal((await admin('DELETE', `/keys/${apiKey.id}`)).status, 200);
+  assert.equal((await reply({ 'X-API-Key': key })).status, 401);
+});
+
+test('only a hash of each key is stored', async () => {
+  const { key } = await (await admin('POST', '/keys', { tier: 'pro' })).json();
+  const stored = fs.readFileSync(process.env.API_KEYS_FILE, 'utf8');
+
+  assert.ok(!stored.includes(key));
+  assert.match(stored, /"hash": "[0-9a-f]{64}"/);
+});
+
+test('anonymous requests are still served when keys are optional', async () => {
+  assert.equal((await reply()).status, 200);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cacheKey } = require('../middleware/cache');
+const MemoryStore = require('../utils/cache/memoryStore');
+const FileStore = require('../utils/cache/fileStore');
+
+const body = {
+  threadContent: { text: 'Tabs or spaces?\nSpaces, obviously.' },
+  options: { outputMode: 'json', maxModelCalls: 3 }
+};
+
+test('keys depend on the content, not on spacing, key order or Unicode form', () => {
+  const key = cacheKey('summarize', body);
+
+  assert.match(key, /^summarize:[0-9a-f]{64}$/);
+  assert.equal(cacheKey('summarize', {
+    threadContent: { text: '  Tabs or   spaces?\n\nSpaces, obviously. ' },
+    options: { maxModelCalls: 3, outputMode: 'json' }
+  }), key);
+  assert.equal(cacheKey('summarize', { ...body, threadContent: { text: 'Café or tea?' } }),
+    cacheKey('summarize', { ...body, threadContent: { text: 'Café or tea?' } }));
+});
+
+test('anything that changes the answer changes the key', () => {
+  const key = cacheKey('summarize', body);
+
+  assert.notEqual(cacheKey('summarize', { ...body, options: { ...body.options, outputMode: 'text' } }), key);
+  assert.notEqual(cacheKey('summarize', { ...body, options: { ...body.options, providers: ['local'] } }), key);
+  assert.notEqual(cacheKey('reply', { ...body, summary: { keyPoints: ['Spaces win'] } }),
+    cacheKey('reply', { ...body, summary: { keyPoints: ['Tabs win'] } }));
+});
+
+test('the default chain and the same chain spelled out share a key', () => {
+  assert.equal(
+    cacheKey('summarize', { ...body, options: { ...body.options, providers: 'gemini, huggingface, local' } }),
+    cacheKey('summarize', body)
+  );
+});
+
+test('the memory store evicts the least recently used entry', async () => {
+  const store = new MemoryStore({ maxEntries: 2, maxBytes: 1024 * 1024 });
+  await store.set('a', 1, 60);
+  await store.set('b', 2, 60);
+  await store.get('a');
+  await store.set('c', 3, 60);
+
+  assert.deepEqual(await store.keys(), ['a', 'c']);
+  assert.equal((await store.info()).evictions, 1);
+});
+
+test('the memory store is bounded by size too', async () => {
+  // Each entry is about 27 bytes: key plus JSON value
+  const store = new MemoryStore({ maxEntries: 100, maxBytes: 50 });
+  await store.set('first', 'x'.repeat(20), 60);
+  await store.set('second', 'y'.repeat(20), 60);
+
+  assert.deepEqual(await store.keys(), ['second']);
+});
+
+test('a value too big to store still replaces the old one', async () => {
+  const store = new MemoryStore({ maxEntries: 100, maxBytes: 60 });
+  await store.set('key', 'small', 60);
+  await store.set('key', 'z'.repeat(100), 60);
+
+  assert.equal(await store.get('key'), undefined);
+  assert.equal((await store.info()).bytes, 0);
+});
+
+test('expired entries are gone', async () => {
+  const store = new MemoryStore({ maxEntries: 10, maxBytes: 1024 });
+  await store.set('key', 'value', -1);
+
+  assert.equal(await store.get('key'), undefined);
+  assert.equal(await store.expiresAt('key'), null);
+});
+
+test('the file store picks up where it left off', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+  const options = { maxEntries: 10, maxBytes: 1024 * 1024, filePath: path.join(dir, 'cache.json') };
+  try {
+    const store = new FileStore(options);
+    await store.set('summarize:kept', { success: true }, 60);
+    await store.set('summarize:expired', { success: true }, -1);
+    store.saveNow();
+
+    const reopened = new FileStore(options);
+    assert.deepEqual(await reopened.get('summarize:kept'), { success: true });
+    assert.deepEqual(await reopened.keys(), ['summarize:kept']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
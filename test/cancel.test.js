@@ -0,0 +1,100 @@
+// The app logs JSON lines on stdout, which the test runner also reads its results from
+process.env.LOG_LEVEL = 'error';
+
+const os = require('os');
+const path = require('path');
+
+process.env.API_KEYS_FILE = path.join(os.tmpdir(), `cancel-test-keys-${process.pid}.json`);
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const providers = require('../utils/providers');
+const { breakerFor } = require('../utils/circuitBreaker');
+const { callWithTimeout, cancellations } = require('../utils/timeout');
+
+// Hangs until the request's signal aborts, like a provider waiting on a slow model
+const hanging = {
+  name: 'stub-hanging',
+  started: null,
+  isConfigured: () => true,
+  summarize(threadContent, options) {
+    return callWithTimeout(signal => {
+      hanging.signal = signal;
+      hanging.started();
+      return new Promise(() => {});
+    }, 60000, options.signal);
+  },
+  async reply() {
+    return 'stub-hanging reply';
+  },
+  async health() {
+    return { name: 'stub-hanging', configured: true };
+  }
+};
+providers.register(hanging);
+
+// Loaded after the stubs are registered: request schemas only accept the providers known at load time
+const apiRoutes = require('../routes/api');
+
+const responses = [];
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  responses.push(res);
+  next();
+});
+app.use('/api', apiRoutes);
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('a call that runs past its deadline is aborted and counted as a timeout', async () => {
+  const before = cancellations.timeouts;
+  let seen;
+  await assert.rejects(
+    callWithTimeout(signal => {
+      seen = signal;
+      return new Promise(() => {});
+    }, 20),
+    error => error.timeout === true
+  );
+
+  assert.equal(seen.aborted, true);
+  assert.equal(cancellations.timeouts, before + 1);
+});
+
+test('a client that disconnects cancels the provider call without trying the next provider', async () => {
+  const started = new Promise(resolve => { hanging.started = resolve; });
+  const disconnectsBefore = cancellations.disconnects;
+  const timeoutsBefore = cancellations.timeouts;
+  const controller = new AbortController();
+
+  const request = fetch(`${baseUrl}/api/summarize`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ threadContent: { text: 'Is anyone else seeing slow builds today?' }, options: { providers: ['stub-hanging', 'local'] } }),
+    signal: controller.signal
+  });
+  await started;
+  controller.abort();
+  await assert.rejects(request, { name: 'AbortError' });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.equal(hanging.signal.aborted, true);
+  assert.equal(responses[responses.length - 1].statusCode, 499);
+  assert.equal(cancellations.disconnects, disconnectsBefore + 1);
+  // The deadline was cleared with the request, so it never fires as a timeout
+  assert.equal(cancellations.timeouts, timeoutsBefore);
+  // Giving up isn't the provider's fault
+  assert.equal(breakerFor('stub-hanging').snapshot().totals.failures, 0);
+});
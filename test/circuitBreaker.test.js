@@ -0,0 +1,172 @@
+// The app logs JSON lines on stdout, which the test runner also reads its results from
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitBreaker, breakerFor, rankByHealth, isQuotaError, isUnavailableError } = require('../utils/circuitBreaker');
+const providers = require('../utils/providers');
+const huggingface = require('../utils/huggingface');
+
+const options = {
+  windowSize: 20,
+  minimumCalls: 5,
+  failureThreshold: 3,
+  errorRateThreshold: 0.5,
+  cooldownSeconds: 0.05,
+  maxCooldownSeconds: 1,
+  quotaCooldownSeconds: 0.2,
+  unavailableCooldownSeconds: 5
+};
+
+const fail = message => () => Promise.reject(new Error(message));
+const succeed = () => Promise.resolve('ok');
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('opens after consecutive failures and skips calls while open', async () => {
+  const breaker = new CircuitBreaker('test-open', options);
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(breaker.run(fail('boom')), /boom/);
+  }
+
+  let called = false;
+  await assert.rejects(breaker.run(() => { called = true; return succeed(); }), error => error.circuitOpen === true);
+  assert.equal(called, false);
+  assert.equal(breaker.snapshot().state, 'open');
+  assert.equal(breaker.snapshot().totals.rejected, 1);
+});
+
+test('lets one probe through after the cooldown and closes when it succeeds', async () => {
+  const breaker = new CircuitBreaker('test-probe', options);
+  for (let i = 0; i < 3; i++) {
+    await breaker.run(fail('boom')).catch(() => {});
+  }
+  await sleep(60);
+
+  assert.equal(breaker.snapshot().state, 'half-open');
+  let release;
+  const probe = breaker.run(() => new Promise(resolve => { release = resolve; }));
+  await assert.rejects(breaker.run(succeed), error => error.circuitOpen === true);
+  release('ok');
+  assert.equal(await probe, 'ok');
+  assert.equal(breaker.snapshot().state, 'closed');
+});
+
+test('a failed probe reopens the circuit for twice as long', async () => {
+  const breaker = new CircuitBreaker('test-backoff', options);
+  for (let i = 0; i < 3; i++) {
+    await breaker.run(fail('boom')).catch(() => {});
+  }
+  await sleep(60);
+  await breaker.run(fail('still down')).catch(() => {});
+
+  assert.equal(breaker.cooldownMs, 100);
+  assert.equal(breaker.snapshot().state, 'open');
+});
+
+test('a quota error opens the circuit at once, for the provider\'s Retry-After if longer', async () => {
+  const breaker = new CircuitBreaker('test-quota', options);
+  const quotaError = Object.assign(new Error('Too Many Requests'), { status: 429, retryAfterMs: 500 });
+  await assert.rejects(breaker.run(() => Promise.reject(quotaError)));
+
+  const snapshot = breaker.snapshot();
+  assert.equal(snapshot.state, 'open');
+  assert.equal(snapshot.quotaExhausted, true);
+  assert.ok(breaker.openUntil - Date.now() > 300);
+});
+
+test('quota errors are recognized by status or wording', () => {
+  assert.equal(isQuotaError({ status: 429, message: '' }), true);
+  assert.equal(isQuotaError(new Error('[429 Too Many Requests] Resource has been exhausted')), true);
+  assert.equal(isQuotaError(new Error('You exceeded your current quota')), true);
+  assert.equal(isQuotaError(new Error('socket hang up')), false);
+});
+
+test('only HTTP 404 and 410 mean a model is unavailable', () => {
+  assert.equal(isUnavailableError({ status: 404, message: '' }), true);
+  assert.equal(isUnavailableError({ httpResponse: { status: 410 }, message: 'Gone' }), true);
+  assert.equal(isUnavailableError(new Error('Model not found in cache, loading')), false);
+  assert.equal(isUnavailableError({ status: 503, message: 'Model does not exist yet' }), false);
+});
+
+test('an unavailable model waits out the long cooldown straight away', async () => {
+  const breaker = new CircuitBreaker('test-unavailable', options);
+  await assert.rejects(breaker.run(() => Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))));
+
+  assert.equal(breaker.snapshot().state, 'open');
+  assert.ok(breaker.openUntil - Date.now() > 4000);
+});
+
+test('models are ranked by availability, error rate and latency', () => {
+  const history = (name, outcomes) => {
+    const breaker = breakerFor(name);
+    outcomes.forEach(ms => (ms === null ? breaker.recordFailure(new Error('boom'), 100) : breaker.recordSuccess(ms)));
+  };
+  history('rank:flaky', [100, null]);
+  history('rank:healthy', [100, 120]);
+  history('rank:slow', [900, 1000]);
+  breakerFor('rank:open').recordFailure(Object.assign(new Error('Too Many Requests'), { status: 429 }), 100);
+
+  assert.deepEqual(
+    rankByHealth(['rank:open', 'rank:flaky', 'rank:new', 'rank:slow', 'rank:healthy']),
+    ['rank:healthy', 'rank:slow', 'rank:new', 'rank:flaky', 'rank:open']
+  );
+});
+
+test('small differences in latency keep the configured order', () => {
+  breakerFor('close:first').recordSuccess(104);
+  breakerFor('close:second').recordSuccess(100);
+
+  assert.deepEqual(rankByHealth(['close:first', 'close:second']), ['close:first', 'close:second']);
+  assert.deepEqual(rankByHealth(['close:second', 'close:first']), ['close:second', 'close:first']);
+});
+
+test('the chain skips a provider whose circuit is open and reports a fallback', async () => {
+  let calls = 0;
+  providers.register({
+    name: 'stub-breaking',
+    isConfigured: () => true,
+    async summarize() {
+      calls++;
+      throw new Error('stub-breaking is down');
+    },
+    async reply() {
+      return 'stub-breaking reply';
+    },
+    async health() {
+      return { name: 'stub-breaking', configured: true };
+    }
+  });
+
+  for (let i = 0; i < 4; i++) {
+    const { provider, fallback } = await providers.summarize({ text: 'Any news on the release?' }, { providers: ['stub-breaking', 'local'] });
+    assert.equal(provider, 'local');
+    assert.equal(fallback, true);
+  }
+  // The failure threshold is 3; the fourth request didn't reach the provider
+  assert.equal(calls, 3);
+});
+
+test('providers without sentiment analysis are skipped, not failed', async () => {
+  const analysis = await providers.analyze({ text: 'Love this.\nHate that.' }, { sentiment: 'model', providers: ['stub-breaking', 'local'] });
+  assert.equal(analysis.source, 'local');
+});
+
+test('Hugging Face reports a 429 only when every model is out of quota', async () => {
+  const original = { hf: huggingface.hf, summaryModels: huggingface.summaryModels };
+  try {
+    huggingface.summaryModels = ['stub/bart-quota', 'stub/t5-quota'];
+    huggingface.hf = {
+      summarization: () => Promise.reject(Object.assign(new Error('Rate limit reached'), { status: 429 })),
+      textGeneration: () => Promise.reject(Object.assign(new Error('Rate limit reached'), { status: 429 }))
+    };
+    await assert.rejects(huggingface.summarize({ text: 'Thread' }), error => error.status === 429);
+    // Both circuits are now waiting out the quota, and skipping them is still a quota failure
+    await assert.rejects(huggingface.summarize({ text: 'Thread' }), error => error.status === 429);
+
+    huggingface.summaryModels = ['stub/bart-quota-2', 'stub/t5-broken'];
+    huggingface.hf.textGeneration = () => Promise.reject(new Error('Model is loading'));
+    await assert.rejects(huggingface.summarize({ text: 'Thread' }), error => error.status === undefined);
+  } finally {
+    Object.assign(huggingface, original);
+  }
+});
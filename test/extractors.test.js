@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { extractThread } = require('../utils/extractors');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'extractors', name), 'utf8');
+
+test('reads the post and every comment from old.reddit.com markup', () => {
+  const thread = extractThread(fixture('old-reddit.html'), 'https://old.reddit.com/r/homelab/comments/abc123/');
+
+  assert.equal(thread.extractor, 'reddit');
+  assert.equal(thread.title, 'Is a used enterprise server worth it for a first homelab?');
+  assert.deepEqual(thread.posts.map(({ id, author, parentId }) => ({ id, author, parentId })), [
+    { id: 't3_abc123', author: 'op_user', parentId: null },
+    { id: 't1_c1', author: 'fan_of_nucs', parentId: 't3_abc123' },
+    { id: 't1_c2', author: 'op_user', parentId: 't1_c1' },
+    { id: 't1_c3', author: 'rackmount_rick', parentId: 't3_abc123' }
+  ]);
+  // Self-text and comment bodies sit inside <form class="usertext">
+  assert.equal(thread.posts[0].text, 'Is a used enterprise server worth it for a first homelab?\n\n' +
+    "I found a Dell R720 for $150 but I'm worried about noise and power draw.\n\nWould a mini PC cluster be better?");
+  assert.equal(thread.posts[2].text, '> The power bill alone makes the R720 a bad deal.\n\nHow much does it actually draw at idle?');
+  assert.equal(thread.posts[1].timestamp, '2024-03-02T11:00:00.000Z');
+});
+
+test('form controls are still stripped', () => {
+  const thread = extractThread(fixture('old-reddit.html'), 'https://old.reddit.com/r/homelab/comments/abc123/');
+  assert.ok(thread.posts.every(post => !/\bsave\b|search/.test(post.text)));
+});
@@ -0,0 +1,124 @@
+// The app logs JSON lines on stdout, which the test runner also reads its results from
+process.env.LOG_LEVEL = 'error';
+
+const os = require('os');
+const path = require('path');
+
+process.env.API_KEYS_FILE = path.join(os.tmpdir(), `fallback-cache-test-keys-${process.pid}.json`);
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const providers = require('../utils/providers');
+
+// A provider that can be switched off, counting the summaries it's asked for. Each test gets
+// its own, so failures from one test don't open the circuit for the next.
+function flakyProvider(name) {
+  const provider = {
+    name,
+    down: false,
+    calls: 0,
+    isConfigured: () => true,
+    async summarize() {
+      provider.calls++;
+      if (provider.down) throw new Error(`${name} is down`);
+      return { keyPoints: [`${name} summary`], quotes: [], sentiment: 'neutral' };
+    },
+    async reply() {
+      return `${name} reply`;
+    },
+    async health() {
+      return { name, configured: true };
+    }
+  };
+  providers.register(provider);
+  return provider;
+}
+
+const erroring = flakyProvider('stub-erroring');
+const recovering = flakyProvider('stub-recovering');
+const stillDown = flakyProvider('stub-down');
+
+// Loaded after the stubs are registered: request schemas only accept the providers known at load time
+const apiRoutes = require('../routes/api');
+
+const app = express();
+app.use(express.json());
+app.use('/api', apiRoutes);
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function summarize(text, chain) {
+  const response = await fetch(`${baseUrl}/api/summarize`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ threadContent: { text }, options: { providers: chain } })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// The upgrade runs after the cached answer was sent
+function waitFor(condition) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = async () => {
+      if (await condition()) return resolve();
+      if (Date.now() - started > 2000) return reject(new Error('timed out'));
+      setTimeout(check, 20);
+    };
+    check();
+  });
+}
+
+test('errors are not cached', async () => {
+  erroring.down = true;
+  const text = 'Is the old API still supported?\nUntil the end of the year.';
+
+  assert.equal((await summarize(text, ['stub-erroring'])).status, 500);
+  assert.equal((await summarize(text, ['stub-erroring'])).status, 500);
+  assert.equal(erroring.calls, 2);
+});
+
+test('a fallback answer is served from the cache and upgraded once the preferred provider is back', async () => {
+  recovering.down = true;
+  const text = 'Which keyboard switches are the quietest?\nSilent reds, by far.';
+
+  const first = await summarize(text, ['stub-recovering', 'local']);
+  assert.equal(first.body.provider, 'local');
+  assert.equal(first.body.fallback, true);
+
+  recovering.down = false;
+  const second = await summarize(text, ['stub-recovering', 'local']);
+  assert.equal(second.body.fromCache, true);
+  assert.equal(second.body.provider, 'local');
+
+  await waitFor(async () => (await summarize(text, ['stub-recovering', 'local'])).body.provider === 'stub-recovering');
+  const upgraded = await summarize(text, ['stub-recovering', 'local']);
+  assert.equal(upgraded.body.fromCache, true);
+  assert.equal(upgraded.body.fallback, false);
+});
+
+test('a degraded answer stays put while the preferred provider is still down', async () => {
+  stillDown.down = true;
+  const text = 'Does anyone still use RSS readers?\nEvery day.';
+
+  await summarize(text, ['stub-down', 'local']);
+  const cached = await summarize(text, ['stub-down', 'local']);
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.equal(cached.body.fromCache, true);
+  assert.equal(cached.body.provider, 'local');
+  // One call for the request, one for the upgrade attempt; later hits wait for the retry interval
+  await summarize(text, ['stub-down', 'local']);
+  assert.equal(stillDown.calls, 2);
+});
@@ -0,0 +1,71 @@
+// The app logs JSON lines on stdout, which the test runner also reads its results from
+process.env.LOG_LEVEL = 'error';
+
+// Mock providers, with a default chain that has no local fallback to keep it ready
+process.env.MOCK_PROVIDERS = 'true';
+process.env.MOCK_FAIL = 'gemini';
+process.env.PROVIDER_CHAIN = 'gemini,openai';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const healthRoutes = require('../routes/health');
+const { breakerFor } = require('../utils/circuitBreaker');
+
+const app = express();
+app.use('/health', healthRoutes);
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function get(route) {
+  const response = await fetch(`${baseUrl}/health${route}`);
+  return { status: response.status, body: await response.json() };
+}
+
+test('liveness never looks at the providers', async () => {
+  const { status, body } = await get('/live');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ok');
+});
+
+test('ready while a provider in the default chain can take traffic', async () => {
+  const { status, body } = await get('/ready');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ready');
+  assert.equal(body.deep, false);
+
+  const gemini = body.providers.find(provider => provider.name === 'gemini');
+  assert.equal(gemini.apiKey, 'mock');
+  assert.equal(gemini.inDefaultChain, true);
+  assert.equal(gemini.probe, undefined);
+});
+
+test('deep checks probe each provider and report failures as degraded', async () => {
+  const { status, body } = await get('/ready?deep=true');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'degraded');
+
+  const probes = Object.fromEntries(body.providers.filter(provider => provider.probe).map(provider => [provider.name, provider.probe.ok]));
+  assert.deepEqual(probes, { gemini: false, huggingface: true, openai: true });
+});
+
+test('503 once every provider in the default chain has its circuit open', async () => {
+  const quota = Object.assign(new Error('Too Many Requests'), { status: 429 });
+  breakerFor('gemini').recordFailure(quota, 10);
+  breakerFor('openai').recordFailure(quota, 10);
+
+  const { status, body } = await get('/ready');
+  assert.equal(status, 503);
+  assert.equal(body.status, 'unavailable');
+  assert.deepEqual(body.providers.filter(provider => provider.inDefaultChain).map(provider => provider.circuit), ['open', 'open']);
+});
@@ -0,0 +1,50 @@
+// The app logs JSON lines on stdout, which the test runner also reads its results from
+process.env.LOG_LEVEL = 'error';
+process.env.MOCK_PROVIDERS = 'true';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage, resolveLanguage, isEnglish, needsTranslation } = require('../utils/language');
+const providers = require('../utils/providers');
+
+const spanish = { text: '¿Alguien sabe dónde puedo comprar pan para la fiesta? Es para el sábado y no tengo mucho tiempo.' };
+
+test('common words tell Latin-script languages apart', () => {
+  assert.equal(detectLanguage('Is this the right way to cache the build? It was slow for us.').language, 'en');
+  assert.equal(detectLanguage(spanish.text).language, 'es');
+  assert.equal(detectLanguage('Ich habe das auch nicht verstanden, aber es ist mit dem neuen Build noch langsam.').language, 'de');
+});
+
+test('the script settles the rest, and short text is undetermined', () => {
+  assert.deepEqual(detectLanguage('今日は晴れです'), { language: 'ja', confidence: 1 });
+  assert.equal(detectLanguage('Я також не знаю, чи це працює і все ще повільно').language, 'uk');
+  assert.deepEqual(detectLanguage('Hello'), { language: 'und', confidence: 0 });
+});
+
+test('auto answers in the thread\'s language, English when it can\'t be told', () => {
+  assert.deepEqual(resolveLanguage(spanish.text, 'auto'), { detected: 'es', confidence: 0.71, target: 'es' });
+  assert.equal(resolveLanguage(spanish.text, 'fr').target, 'fr');
+  assert.equal(resolveLanguage('ok', 'auto').target, 'en');
+
+  assert.ok(isEnglish({ detected: 'und', target: 'en' }));
+  assert.ok(needsTranslation({ detected: 'es', target: 'fr' }));
+  assert.ok(!needsTranslation({ detected: 'und', target: 'fr' }));
+});
+
+test('the local provider answers in the target language', async () => {
+  const { result } = await providers.summarize(spanish, { providers: ['local'] });
+  assert.equal(result.language.target, 'es');
+  assert.equal(result.quotes[0], 'Afirmación clave de la conversación');
+
+  const { language, result: variants } = await providers.reply(spanish, { keyPoints: ['Busca pan'] }, { providers: ['local'], seed: 3, targetLanguage: 'fr' });
+  assert.deepEqual(language, { detected: 'es', confidence: 0.71, target: 'fr' });
+  assert.match(variants[0].text, /Je me suis posé la même question/);
+});
+
+test('providers that can\'t answer in the target language are skipped', async () => {
+  const translated = await providers.summarize(spanish, { providers: ['huggingface', 'local'], targetLanguage: 'en' });
+  assert.equal(translated.provider, 'local');
+
+  const sameLanguage = await providers.summarize(spanish, { providers: ['huggingface', 'local'] });
+  assert.equal(sameLanguage.provider, 'huggingface');
+});
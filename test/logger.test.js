@@ -0,0 +1,97 @@
+// Only warnings and errors, which go to stderr; stdout is where the test runner reads its results from
+process.env.LOG_LEVEL = 'warn';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { logger, withRequestId, currentRequestId, redact } = require('../utils/logger');
+const { requestId } = require('../middleware/requestId');
+
+// Lines written to stdout and stderr while fn runs; fn must be synchronous
+function capture(fn) {
+  const lines = { stdout: [], stderr: [] };
+  const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+  process.stdout.write = chunk => lines.stdout.push(JSON.parse(chunk));
+  process.stderr.write = chunk => lines.stderr.push(JSON.parse(chunk));
+  try {
+    fn();
+  } finally {
+    Object.assign(process.stdout, { write: writes.stdout });
+    Object.assign(process.stderr, { write: writes.stderr });
+  }
+  return lines;
+}
+
+test('thread text and model output are logged by length only', () => {
+  const logged = redact({ provider: 'gemini', threadContent: { text: 'secret plans' }, keyPoints: ['a', 'b'], chars: 12 });
+
+  assert.deepEqual(logged, { provider: 'gemini', threadContent: '[redacted]', keyPoints: '[redacted 2 items]', chars: 12 });
+  assert.deepEqual(redact({ prompt: 'Summarize this' }, false), { prompt: 'Summarize this' });
+});
+
+test('credentials are redacted by field name and inside strings', () => {
+  const logged = redact({
+    apiKey: 'tsk_abcdefgh12345',
+    headers: { authorization: 'Bearer abc.def' },
+    message: 'Request to https://api.example.com/v1?key=AIzaSyD-1234567890abcdefghij failed with Bearer sk-live12345678'
+  }, false);
+
+  assert.equal(logged.apiKey, '[redacted]');
+  assert.equal(logged.headers.authorization, '[redacted]');
+  assert.equal(logged.message, 'Request to https://api.example.com/v1?key=[redacted] failed with Bearer [redacted]');
+});
+
+test('errors keep their name, message and status', () => {
+  const error = Object.assign(new Error('quota exceeded for hf_abcdefghijk'), { status: 429 });
+  assert.deepEqual(redact({ error }), { error: { name: 'Error', message: 'quota exceeded for [redacted]', status: 429 } });
+});
+
+test('one JSON line per entry on stderr for warnings and errors, below the level dropped', () => {
+  const lines = capture(() => {
+    const log = logger.child({ provider: 'openai' });
+    log.info('Not shown');
+    log.warn('Model slow', { model: 'gpt-4o-mini' });
+    log.error('Model failed');
+  });
+
+  assert.equal(lines.stdout.length, 0);
+  assert.deepEqual(lines.stderr.map(line => line.level), ['warn', 'error']);
+  assert.equal(lines.stderr[0].msg, 'Model slow');
+  assert.equal(lines.stderr[0].provider, 'openai');
+  assert.equal(lines.stderr[0].model, 'gpt-4o-mini');
+  assert.ok(!Number.isNaN(Date.parse(lines.stderr[0].time)));
+});
+
+test('lines written while serving a request carry its ID', async () => {
+  await withRequestId('req-1', async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(currentRequestId(), 'req-1');
+    const lines = capture(() => logger.warn('Inside the request'));
+    assert.equal(lines.stderr[0].requestId, 'req-1');
+  });
+  assert.equal(currentRequestId(), null);
+});
+
+test('requests get an ID, or keep a well-formed one from the caller', async () => {
+  const app = express();
+  app.use(requestId);
+  app.get('/id', (req, res) => res.json({ id: currentRequestId() }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/id`;
+
+  try {
+    const generated = await fetch(url);
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    assert.equal((await generated.json()).id, generated.headers.get('x-request-id'));
+
+    const kept = await fetch(url, { headers: { 'X-Request-Id': 'edge-42' } });
+    assert.equal(kept.headers.get('x-request-id'), 'edge-42');
+
+    const replaced = await fetch(url, { headers: { 'X-Request-Id': 'not valid!' } });
+    assert.notEqual(replaced.headers.get('x-request-id'), 'not valid!');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
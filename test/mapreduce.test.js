@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeLong, mergeLocally } = require('../utils/mapreduce');
+const { chunkText, excerpt, spreadIndexes } = require('../utils/chunker');
+
+// 20 lines of 50 characters, so a 100-character budget makes 10 chunks
+const longThread = {
+  text: Array.from({ length: 20 }, (_, i) => `Line ${String(i + 1).padStart(2, '0')} of the thread, padded to fifty chars.`.padEnd(50, '.')).join('\n')
+};
+
+// A model-backed provider that counts its calls; `failOn` lists chunk numbers (1-based) that fail
+function countingProvider({ merge = true, failOn = [] } = {}) {
+  const provider = {
+    name: 'counting',
+    maxInputChars: 101,
+    summarizeCalls: 0,
+    mergeCalls: 0,
+    async summarize(threadContent) {
+      provider.summarizeCalls++;
+      if (failOn.includes(provider.summarizeCalls)) throw new Error('chunk failed');
+      return { keyPoints: [threadContent.text.split('\n')[0]], quotes: [], sentiment: 'neutral' };
+    }
+  };
+  if (merge) {
+    provider.mergeSummaries = async partials => {
+      provider.mergeCalls++;
+      return { ...mergeLocally(partials), parseMode: 'json' };
+    };
+  }
+  return provider;
+}
+
+test('chunks respect the size limit and keep every line', () => {
+  const chunks = chunkText(longThread.text, 101);
+  assert.equal(chunks.length, 10);
+  assert.ok(chunks.every(chunk => chunk.length <= 101));
+  assert.equal(chunks.join('\n'), longThread.text);
+});
+
+test('oversized lines are cut at sentences, then hard', () => {
+  const chunks = chunkText(`${'a'.repeat(30)}. ${'b'.repeat(70)}`, 40);
+  assert.ok(chunks.every(chunk => chunk.length <= 40));
+  assert.equal(chunks[0], `${'a'.repeat(30)}.`);
+});
+
+test('an excerpt is the first chunk', () => {
+  assert.equal(excerpt(longThread.text, 101), longThread.text.split('\n').slice(0, 2).join('\n'));
+  assert.equal(excerpt('', 101), '');
+});
+
+test('spread indexes keep the first and last chunk', () => {
+  assert.deepEqual(spreadIndexes(10, 3), [0, 5, 9]);
+  assert.deepEqual(spreadIndexes(3, 5), [0, 1, 2]);
+  assert.deepEqual(spreadIndexes(10, 1), [0]);
+});
+
+test('stays within the call budget, merge included', async () => {
+  const provider = countingProvider();
+  const summary = await summarizeLong(provider, longThread, { maxModelCalls: 4 });
+
+  assert.equal(provider.summarizeCalls, 3);
+  assert.equal(provider.mergeCalls, 1);
+  assert.deepEqual(summary.chunks, { total: 10, processed: 3, skipped: 7, failed: 0 });
+  assert.equal(summary.keyPoints[0], longThread.text.split('\n')[0]);
+});
+
+test('a request cannot raise the configured budget', async () => {
+  const provider = countingProvider({ merge: false });
+  const summary = await summarizeLong(provider, longThread, { maxModelCalls: 100 });
+
+  assert.equal(provider.summarizeCalls, 6);
+  assert.equal(summary.parseMode, 'merged');
+  assert.equal(summary.chunks.processed, 6);
+});
+
+test('failed chunks are counted and the rest still merged', async () => {
+  const provider = countingProvider({ failOn: [2] });
+  const summary = await summarizeLong(provider, longThread, { maxModelCalls: 4 });
+
+  assert.deepEqual(summary.chunks, { total: 10, processed: 2, skipped: 7, failed: 1 });
+});
+
+test('the local provider sees every chunk', async () => {
+  const provider = { ...countingProvider({ merge: false }), local: true };
+  let calls = 0;
+  provider.summarize = async () => {
+    calls++;
+    return { keyPoints: [`point ${calls}`], quotes: [], sentiment: 'neutral' };
+  };
+  const summary = await summarizeLong(provider, longThread, {});
+
+  assert.equal(calls, 10);
+  assert.equal(summary.chunks.processed, 10);
+});
+
+test('short threads take a single call', async () => {
+  const provider = countingProvider();
+  const summary = await summarizeLong(provider, { text: 'Short thread.' }, {});
+
+  assert.equal(provider.summarizeCalls, 1);
+  assert.equal(provider.mergeCalls, 0);
+  assert.deepEqual(summary.chunks, { total: 1, processed: 1 });
+});
@@ -0,0 +1,95 @@
+// The app logs JSON lines on stdout, which the test runner also reads its results from
+process.env.LOG_LEVEL = 'error';
+
+const os = require('os');
+const path = require('path');
+
+process.env.MOCK_PROVIDERS = 'true';
+process.env.MOCK_FAIL = 'gemini';
+process.env.METRICS_TOKEN = 'test-metrics-token';
+process.env.RATE_LIMIT_ANONYMOUS_REPLY = '1/1';
+process.env.API_KEYS_FILE = path.join(os.tmpdir(), `metrics-test-keys-${process.pid}.json`);
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { requestMetrics } = require('../middleware/metrics');
+const apiRoutes = require('../routes/api');
+const metricsRoutes = require('../routes/metrics');
+
+const app = express();
+app.use(requestMetrics);
+app.use(express.json());
+app.use('/metrics', metricsRoutes);
+app.use('/api', apiRoutes);
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+function post(route, body) {
+  return fetch(`${baseUrl}/api${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+async function scrape() {
+  const response = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer test-metrics-token' } });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  return response.text();
+}
+
+const thread = { text: 'Has anyone tried the new espresso place on Main Street?\nYes, the flat white is great.' };
+
+test('the endpoint needs the metrics token when one is set', async () => {
+  assert.equal((await fetch(`${baseUrl}/metrics`)).status, 401);
+  assert.equal((await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+});
+
+test('requests, provider attempts and fallbacks are counted', async () => {
+  assert.equal((await post('/summarize', { threadContent: thread, options: { providers: ['gemini', 'openai'] } })).status, 200);
+  const text = await scrape();
+
+  assert.match(text, /^# TYPE http_requests_total counter$/m);
+  assert.match(text, /^http_requests_total\{route="\/api\/summarize",method="POST",status="200"\} 1$/m);
+  assert.match(text, /^http_request_duration_seconds_count\{route="\/api\/summarize",method="POST",status="200"\} 1$/m);
+  assert.match(text, /^provider_requests_total\{provider="gemini",task="summarize",outcome="failure"\} 1$/m);
+  assert.match(text, /^provider_requests_total\{provider="openai",task="summarize",outcome="success"\} 1$/m);
+  assert.match(text, /^fallback_activations_total\{task="summarize",provider="gemini",reason="error"\} 1$/m);
+});
+
+test('cache lookups are counted as hits and misses', async () => {
+  await post('/summarize', { threadContent: thread, options: { providers: ['gemini', 'openai'] } });
+  const text = await scrape();
+
+  assert.match(text, /^cache_requests_total\{route="summarize",result="miss"\} 1$/m);
+  assert.match(text, /^cache_requests_total\{route="summarize",result="hit"\} 1$/m);
+});
+
+test('rate limit rejections are counted by bucket and tier', async () => {
+  const body = { threadContent: thread, summary: { keyPoints: ['Espresso'] }, options: { providers: ['local'] } };
+  await post('/reply', body);
+  assert.equal((await post('/reply', body)).status, 429);
+
+  assert.match(await scrape(), /^rate_limit_rejections_total\{route="reply",bucket="cheap",tier="anonymous"\} 1$/m);
+});
+
+test('client disconnects and timeouts are separate metrics', async () => {
+  const text = await scrape();
+
+  assert.match(text, /^# TYPE cancellations_total counter$/m);
+  assert.match(text, /^cancellations_total\{reason="disconnect"\} 0$/m);
+  assert.match(text, /^# TYPE timeouts_total counter$/m);
+  assert.match(text, /^timeouts_total 0$/m);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { cleanThread, cleanText, platformFor } = require('../utils/platforms');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'platforms');
+
+// Posts without their (null) parentId, so fixtures only spell out replies
+const comparablePosts = posts => posts.map(({ parentId, ...post }) => (parentId ? { ...post, parentId } : post));
+
+fs.readdirSync(FIXTURES).filter(file => file.endsWith('.json')).forEach(file => {
+  test(`cleans the ${path.basename(file, '.json')} fixture thread`, () => {
+    const { threadContent, expected } = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+    const cleaned = cleanThread(threadContent);
+
+    if (expected.posts) {
+      assert.deepEqual(comparablePosts(cleaned.posts), expected.posts);
+    } else {
+      assert.equal(cleaned.text, expected.text);
+    }
+  });
+});
+
+test('aliases pick the same platform and unknown names fall back to generic', () => {
+  assert.equal(platformFor('x'), platformFor('twitter'));
+  assert.equal(platformFor('hn'), platformFor('hackernews'));
+  assert.equal(platformFor('myspace').name, 'generic');
+  assert.equal(platformFor(undefined).name, 'generic');
+});
+
+test('a short quote is kept unless it matches a whole earlier line', () => {
+  const generic = platformFor('generic');
+  const seen = new Set();
+  cleanText('Thanks for the yes vote, that settles it.\nthanks', generic, seen);
+
+  assert.equal(cleanText('> yes\nGreat.', generic, new Set(seen)), '> yes\nGreat.');
+  assert.equal(cleanText('> Thanks!\nSure.', generic, new Set(seen)), 'Sure.');
+  assert.equal(cleanText('> the yes vote, that settles it\nAgreed.', generic, new Set(seen)), 'Agreed.');
+});
+
+test('returns the thread unchanged when nothing would be left', () => {
+  const threadContent = { platform: 'reddit', text: 'Reply\nShare\nUpvote\n42\nDownvote' };
+  assert.equal(cleanThread(threadContent), threadContent);
+});
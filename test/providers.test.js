@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const providers = require('../utils/providers');
+
+// Stand-ins registered next to the real providers; none of them needs an API key
+function stubProvider(name, { configured = true, fails = false } = {}) {
+  const calls = [];
+  return {
+    name,
+    calls,
+    isConfigured: () => configured,
+    async summarize(threadContent) {
+      calls.push(threadContent);
+      if (fails) throw new Error(`${name} is down`);
+      return { keyPoints: [`${name} summary`], quotes: [], sentiment: 'neutral' };
+    },
+    async reply() {
+      return `${name} reply`;
+    },
+    async health() {
+      return { name, configured };
+    }
+  };
+}
+
+const down = stubProvider('stub-down', { fails: true });
+const unconfigured = stubProvider('stub-unconfigured', { configured: false });
+const up = stubProvider('stub-up');
+[down, unconfigured, up].forEach(provider => providers.register(provider));
+
+test('falls back along the chain until a provider succeeds', async () => {
+  const { provider, result } = await providers.summarize({ text: 'thread' }, { providers: ['stub-down', 'stub-unconfigured', 'stub-up'] });
+
+  assert.equal(provider, 'stub-up');
+  assert.deepEqual(result.keyPoints, ['stub-up summary']);
+  assert.equal(down.calls.length, 1);
+  assert.equal(unconfigured.calls.length, 0);
+});
+
+test('accepts the chain as a comma-separated string', () => {
+  assert.deepEqual(providers.resolveChain(' stub-up, local ,'), ['stub-up', 'local']);
+});
+
+test('rejects unknown providers and empty chains with a 400', () => {
+  assert.throws(() => providers.resolveChain(['stub-up', 'nope']), error => error.statusCode === 400 && /nope/.test(error.message));
+  assert.throws(() => providers.resolveChain(' , '), error => error.statusCode === 400);
+});
+
+test('reports every failure when the whole chain fails', async () => {
+  await assert.rejects(
+    providers.summarize({ text: 'thread' }, { providers: 'stub-unconfigured,stub-down' }),
+    /stub-unconfigured: not configured; stub-down: stub-down is down/
+  );
+});
+
+test('the local provider answers without any API key', async () => {
+  const { provider } = await providers.reply({ text: 'Is this on?' }, { keyPoints: ['A question'] }, { providers: ['local'] });
+  assert.equal(provider, 'local');
+});
+
+test('providers missing part of the interface are refused', () => {
+  assert.throws(() => providers.register({ name: 'half', summarize() {}, health() {} }), /missing reply\(\)/);
+});
@@ -0,0 +1,86 @@
+// The app logs JSON lines on stdout, which the test runner also reads its results from
+process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-test-'));
+process.env.API_KEYS_FILE = path.join(dataDir, 'api-keys.json');
+process.env.ADMIN_TOKEN = 'test-admin-token';
+// Three requests a window, only one of which may miss the cache
+process.env.RATE_LIMIT_ANONYMOUS_SUMMARIZE = '3/1';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const apiRoutes = require('../routes/api');
+const adminRoutes = require('../routes/admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+app.use('/api', apiRoutes);
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)).then(() => fs.rmSync(dataDir, { recursive: true, force: true })));
+
+function summarize(text, headers = {}) {
+  return fetch(`${baseUrl}/api/summarize`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ threadContent: { text }, options: { providers: ['local'] } })
+  });
+}
+
+const cached = 'Is it worth upgrading to the new laptop?\nOnly if battery life matters to you.';
+
+test('cache hits only count against the cheap bucket', async () => {
+  const first = await summarize(cached);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('ratelimit-limit'), '1');
+  assert.equal(first.headers.get('ratelimit-remaining'), '0');
+
+  const hit = await summarize(cached);
+  assert.equal(hit.status, 200);
+  assert.equal((await hit.json()).fromCache, true);
+  assert.equal(hit.headers.get('ratelimit-limit'), '3');
+  assert.equal(hit.headers.get('ratelimit-remaining'), '1');
+});
+
+test('a request that would reach a provider is refused once the expensive bucket is empty', async () => {
+  const refused = await summarize('Any tips for a first marathon?\nDo not start too fast.');
+  assert.equal(refused.status, 429);
+
+  const retryAfter = Number(refused.headers.get('retry-after'));
+  assert.ok(retryAfter >= 1 && retryAfter <= 60);
+  assert.equal((await refused.json()).retryAfter, retryAfter);
+});
+
+test('the limit applies before the cache', async () => {
+  const refused = await summarize(cached);
+  assert.equal(refused.status, 429);
+  assert.equal(refused.headers.get('ratelimit-remaining'), '0');
+});
+
+test('a client with an API key gets its own bucket', async () => {
+  const created = await fetch(`${baseUrl}/api/admin/keys`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin-token' },
+    body: JSON.stringify({ name: 'extension' })
+  });
+  const { key } = await created.json();
+
+  const response = await summarize(cached, { 'X-API-Key': key });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('ratelimit-limit'), '60');
+});
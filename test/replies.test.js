@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planReplies, fitLength, parseReplyVariants } = require('../utils/replies');
+const { validate } = require('../utils/schema');
+const { ReplyOptions } = require('../utils/schemas');
+const { replyPrompt } = require('../utils/prompts');
+
+test('plans one variant per tone, or cycles the tones up to count', () => {
+  assert.deepEqual(planReplies({}), { tones: ['match'], maxChars: 120, seed: undefined });
+  assert.equal(planReplies({ seed: 7 }).seed, 7);
+  assert.deepEqual(planReplies({ tone: ['supportive', 'question'], length: 'long' }).tones, ['supportive', 'question']);
+  assert.deepEqual(planReplies({ tone: ['supportive', 'question'], count: 3 }).tones, ['supportive', 'question', 'supportive']);
+  assert.equal(planReplies({ length: 300 }).maxChars, 300);
+});
+
+test('rejects unknown tones and out-of-range lengths, counts and seeds', () => {
+  const pointers = options => validate(ReplyOptions, options, '#/options').map(error => error.pointer);
+
+  assert.deepEqual(pointers({ tone: 'sarcastic' }), ['#/options/tone']);
+  assert.deepEqual(pointers({ length: 10 }), ['#/options/length']);
+  assert.deepEqual(pointers({ count: 6 }), ['#/options/count']);
+  assert.deepEqual(pointers({ seed: 1.5 }), ['#/options/seed']);
+  assert.deepEqual(pointers({ tone: ['humorous'], length: 'short', count: 5 }), []);
+});
+
+test('long replies are cut at a word boundary', () => {
+  const text = fitLength('This reply goes on and on about the deployment schedule for far too long', 40);
+  assert.ok(text.length <= 40);
+  assert.equal(text, 'This reply goes on and on about the...');
+});
+
+test('reads the replies array in the order of the planned tones', () => {
+  const plan = planReplies({ tone: ['supportive', 'skeptical'] });
+  const variants = parseReplyVariants('```json\n{"replies": [{"tone": "supportive", "text": "Great idea!"}, {"tone": "skeptical", "text": "Any benchmarks?"}]}\n```', plan);
+
+  assert.deepEqual(variants, [
+    { text: 'Great idea!', tone: 'supportive' },
+    { text: 'Any benchmarks?', tone: 'skeptical' }
+  ]);
+});
+
+test('output that is not JSON still yields one reply per line', () => {
+  const plan = planReplies({ tone: ['supportive', 'question'] });
+  assert.deepEqual(parseReplyVariants('1. "Love it"\n2. What about caching?', plan).map(variant => variant.text), ['Love it', 'What about caching?']);
+});
+
+test('the prompt asks for JSON only, with the tones as the array order', () => {
+  const plan = planReplies({ tone: ['humorous', 'professional'] });
+  const prompt = replyPrompt({ text: 'The build is red again.' }, { keyPoints: ['CI is failing'] }, plan, 4000);
+
+  assert.ok(prompt.indexOf('tone "humorous"') < prompt.indexOf('tone "professional"'));
+  assert.match(prompt, /Respond with ONLY a JSON object/);
+  assert.doesNotMatch(prompt, /one response per line/);
+});
@@ -0,0 +1,91 @@
+// /api/reply against the offline mock providers (MOCK_PROVIDERS): same seed, same reply
+// The app logs JSON lines on stdout, which the test runner also reads its results from
+process.env.LOG_LEVEL = 'error';
+
+const os = require('os');
+const path = require('path');
+
+process.env.MOCK_PROVIDERS = 'true';
+process.env.RATE_LIMIT_ANONYMOUS_REPLY = '1000/1000';
+process.env.API_KEYS_FILE = path.join(os.tmpdir(), `reply-test-keys-${process.pid}.json`);
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const apiRoutes = require('../routes/api');
+
+const app = express();
+app.use(express.json());
+app.use('/api', apiRoutes);
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const thread = {
+  text: 'We are moving the office to the new building next month. Parking will be free for the first year.\n' +
+    'Great news, the old garage was always full.\nWill there be bike storage as well?'
+};
+const summary = { keyPoints: ['The office moves next month', 'Parking is free for a year'] };
+
+function post(options) {
+  return fetch(`${baseUrl}/api/reply`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ threadContent: thread, summary, options })
+  });
+}
+
+async function reply(options) {
+  const response = await post(options);
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+test('regenerating with the same seed gives the same reply', async () => {
+  const first = await reply({ seed: 42, count: 3, regenerate: true });
+  const second = await reply({ seed: 42, count: 3, regenerate: true });
+
+  assert.equal(first.fromCache, false);
+  assert.equal(second.fromCache, false);
+  assert.equal(second.seed, 42);
+  assert.deepEqual(second.variants, first.variants);
+});
+
+test('a different seed gives a different reply', async () => {
+  const first = await reply({ seed: 42, count: 3, regenerate: true });
+  const other = await reply({ seed: 43, count: 3, regenerate: true });
+
+  assert.notDeepEqual(other.variants.map(variant => variant.text), first.variants.map(variant => variant.text));
+});
+
+test('the template fallback is reproducible from its seed', async () => {
+  const options = { seed: 7, count: 3, length: 'long', providers: ['local'], regenerate: true };
+  const first = await reply(options);
+  const second = await reply(options);
+  const other = await reply({ ...options, seed: 8 });
+
+  assert.equal(first.provider, 'local');
+  assert.deepEqual(second.variants, first.variants);
+  assert.notDeepEqual(other.variants, first.variants);
+});
+
+test('without regenerate the same seed is served from the cache', async () => {
+  const first = await reply({ seed: 1234 });
+  const second = await reply({ seed: 1234 });
+
+  assert.equal(second.fromCache, true);
+  assert.equal(second.reply, first.reply);
+});
+
+test('seeds outside the supported range are rejected', async () => {
+  assert.equal((await post({ seed: -1 })).status, 400);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreText, labelFor, analyzeThread, analyzeWithModel } = require('../utils/sentiment');
+const { sentimentPrompt } = require('../utils/prompts');
+const providers = require('../utils/providers');
+
+const posts = [
+  { id: '1', author: 'maya', parentId: null, text: 'We shipped the new onboarding flow today. Really excited about it!' },
+  { id: '2', author: 'leo', parentId: '1', text: 'Agree, it looks great and the copy is so clear.' },
+  { id: '3', author: 'sam', parentId: '1', text: 'I disagree, the second step is confusing and slow on mobile.' },
+  { id: '4', author: 'leo', parentId: '3', text: 'Actually, shipping it before the mobile fix was wrong.' }
+];
+
+test('scores follow the lexicon, negation and intensity', () => {
+  assert.ok(scoreText('This is great').score > 0);
+  assert.ok(scoreText('This is not great').score < 0);
+  assert.ok(scoreText('really good').score > scoreText('good').score);
+  assert.equal(scoreText('The meeting is at noon').score, 0);
+});
+
+test('strong praise and complaints together are mixed', () => {
+  assert.equal(labelFor(scoreText('Great design, terrible performance')), 'mixed');
+  assert.equal(labelFor(scoreText('Nothing to report')), 'neutral');
+});
+
+test('one timeline point per post, in thread order', () => {
+  const analysis = analyzeThread({ posts });
+
+  assert.deepEqual(analysis.timeline.map(point => point.postIds), [['1'], ['2'], ['3'], ['4']]);
+  assert.deepEqual(analysis.timeline.map(point => point.position), [0, 0.333, 0.667, 1]);
+  assert.equal(analysis.timeline[1].label, 'positive');
+  assert.equal(analysis.timeline[2].label, 'negative');
+});
+
+test('stances relative to the opening post', () => {
+  const stances = Object.fromEntries(analyzeThread({ posts }).participants.map(participant => [participant.author, participant.stance]));
+
+  assert.deepEqual(stances, { maya: 'author', leo: 'mixed', sam: 'opposed' });
+});
+
+test('plain text threads get a line timeline and no participants', () => {
+  const analysis = analyzeThread({ text: 'Love this.\nHate that.' });
+
+  assert.equal(analysis.timeline.length, 2);
+  assert.deepEqual(analysis.participants, []);
+});
+
+test('model analysis keeps the local timeline shape and fills in stances', async () => {
+  const generate = async () => JSON.stringify({
+    score: 0.2,
+    label: 'mixed',
+    segments: [0.6, 0.8, -0.5, -0.05],
+    participants: [{ author: 'leo', stance: 'supportive' }, { author: 'sam', stance: 'sarcastic' }]
+  });
+  const analysis = await analyzeWithModel(generate, { posts }, sentimentPrompt);
+
+  assert.equal(analysis.label, 'mixed');
+  assert.deepEqual(analysis.timeline.map(point => point.label), ['positive', 'positive', 'negative', 'neutral']);
+  // An unknown stance from the model keeps the local estimate
+  assert.deepEqual(analysis.participants.map(participant => participant.stance), ['author', 'supportive', 'opposed']);
+});
+
+test('model output with the wrong number of segments is rejected', async () => {
+  const generate = async () => '{"score": 0.1, "segments": [0.1]}';
+  await assert.rejects(analyzeWithModel(generate, { posts }, sentimentPrompt), /expected shape/);
+});
+
+test('model mode falls back to the local analyzer', async () => {
+  const analysis = await providers.analyze({ posts }, { sentiment: 'model', providers: ['local'] });
+
+  assert.equal(analysis.source, 'local');
+  assert.equal(analysis.participants.length, 3);
+});
@@ -0,0 +1,99 @@
+// The app logs JSON lines on stdout, which the test runner also reads its results from
+process.env.LOG_LEVEL = 'error';
+
+const os = require('os');
+const path = require('path');
+
+process.env.API_KEYS_FILE = path.join(os.tmpdir(), `sessions-test-keys-${process.pid}.json`);
+process.env.SESSION_MAX_THREAD_CHARS = '100';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const apiRoutes = require('../routes/api');
+const { appendThread } = require('../utils/sessions');
+
+const app = express();
+app.use(express.json());
+app.use('/api', apiRoutes);
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function incremental(body) {
+  const response = await fetch(`${baseUrl}/api/summarize/incremental`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...body, options: { providers: ['local'] } })
+  });
+  return { response, body: await response.json() };
+}
+
+const opening = [
+  { id: '1', author: 'kim', text: 'Our CI takes forty minutes. Where should we start?' },
+  { id: '2', author: 'raj', parentId: '1', text: 'Cache the dependencies first.' }
+];
+
+test('a session starts without a cursor and takes only new posts after', async () => {
+  const started = await incremental({ threadId: 'ci-thread', threadContent: { posts: opening } });
+  assert.equal(started.response.status, 200);
+  assert.equal(started.body.revision, 1);
+  assert.equal(started.body.newPosts, 2);
+  assert.equal(started.body.changes, null);
+
+  const updated = await incremental({
+    threadId: 'ci-thread',
+    cursor: started.body.cursor,
+    threadContent: { posts: [opening[1], { id: '3', author: 'kim', parentId: '2', text: 'Done, it saved ten minutes.' }] }
+  });
+  assert.equal(updated.response.status, 200);
+  assert.equal(updated.body.revision, 2);
+  // Post 2 was already sent
+  assert.equal(updated.body.newPosts, 1);
+  assert.ok(Array.isArray(updated.body.changes));
+  assert.notEqual(updated.body.cursor, started.body.cursor);
+});
+
+test('an old cursor or an unknown thread is refused with a 409', async () => {
+  const started = await incremental({ threadId: 'stale-thread', threadContent: { posts: opening } });
+  const next = { id: '3', author: 'kim', text: 'Anything else?' };
+  await incremental({ threadId: 'stale-thread', cursor: started.body.cursor, threadContent: { posts: [next] } });
+
+  const stale = await incremental({ threadId: 'stale-thread', cursor: started.body.cursor, threadContent: { posts: [next] } });
+  assert.equal(stale.response.status, 409);
+  assert.match(stale.response.headers.get('content-type'), /^application\/problem\+json/);
+  assert.equal(stale.body.type, '/problems/session-out-of-date');
+  assert.match(stale.body.detail, /cursor is out of date/);
+
+  const unknown = await incremental({ threadId: 'never-started', cursor: 'abc', threadContent: { posts: [next] } });
+  assert.equal(unknown.response.status, 409);
+  assert.match(unknown.body.detail, /No session/);
+});
+
+test('the update has to match the shape the session started with', async () => {
+  const started = await incremental({ threadId: 'text-thread', threadContent: { text: 'Plain text to start with.' } });
+  const mismatched = await incremental({ threadId: 'text-thread', cursor: started.body.cursor, threadContent: { posts: opening } });
+
+  assert.equal(mismatched.response.status, 400);
+  assert.match(mismatched.body.detail, /plain text/);
+});
+
+test('the oldest posts are dropped once the thread is too long', () => {
+  const post = (id, parentId = null) => ({ id, author: 'a', timestamp: null, parentId, text: 'x'.repeat(40) });
+  const { thread, added } = appendThread({ posts: [post('1'), post('2', '1')] }, { posts: [post('3', '2'), post('4', '1')] });
+
+  assert.deepEqual(thread.posts.map(({ id, parentId }) => ({ id, parentId })), [
+    { id: '3', parentId: null },
+    { id: '4', parentId: null }
+  ]);
+  assert.equal(added.posts.length, 2);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const providers = require('../utils/providers');
+
+// A provider that always fails and one that streams its summary line by line
+providers.register({
+  name: 'stub-broken',
+  isConfigured: () => true,
+  async summarize() {
+    throw new Error('upstream exploded');
+  },
+  async reply() {
+    throw new Error('upstream exploded');
+  },
+  async health() {
+    return { name: 'stub-broken', configured: true };
+  }
+});
+providers.register({
+  name: 'stub-streaming',
+  isConfigured: () => true,
+  async summarize() {
+    return { keyPoints: ['Streamed point'], quotes: [], sentiment: 'neutral' };
+  },
+  async summarizeStream(threadContent, options, onDelta) {
+    onDelta('Key points:\n');
+    onDelta('- Streamed point\n');
+    return this.summarize(threadContent);
+  },
+  async reply() {
+    return 'reply';
+  },
+  async health() {
+    return { name: 'stub-streaming', configured: true };
+  }
+});
+
+// Loaded after the stubs are registered: request schemas only accept the providers known at load time
+const apiRoutes = require('../routes/api');
+
+const app = express();
+app.use(express.json());
+app.use('/api', apiRoutes);
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+function stream(body) {
+  return fetch(`${baseUrl}/api/summarize/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+// "event: name\ndata: {...}" blocks, in order
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+}
+
+test('announces the fallback before the next provider streams', async () => {
+  const response = await stream({
+    threadContent: { text: 'Is the release still on for Friday?\nYes, QA signed off this morning.' },
+    options: { providers: ['stub-broken', 'stub-streaming'] }
+  });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const events = parseEvents(await response.text());
+  assert.deepEqual(events.map(event => event.event), ['fallback', 'delta', 'delta', 'summary']);
+  assert.deepEqual(events[0].data, { from: 'stub-broken', to: 'stub-streaming', reason: 'upstream exploded' });
+  assert.deepEqual(events[1].data, { provider: 'stub-streaming', text: 'Key points:\n' });
+  assert.equal(events[3].data.provider, 'stub-streaming');
+  assert.deepEqual(events[3].data.summary.keyPoints, ['Streamed point']);
+});
+
+test('providers that cannot stream still send the summary', async () => {
+  const response = await stream({ threadContent: { text: 'Short thread about lunch plans for the team.' }, options: { providers: ['local'] } });
+  const events = parseEvents(await response.text());
+
+  assert.deepEqual(events.map(event => event.event), ['summary']);
+  assert.equal(events[0].data.provider, 'local');
+});
+
+test('ends with an error event when every provider fails', async () => {
+  const response = await stream({ threadContent: { text: 'Anyone around?' }, options: { providers: ['stub-broken'] } });
+  const events = parseEvents(await response.text());
+
+  assert.deepEqual(events.map(event => event.event), ['error']);
+  assert.match(events[0].data.message, /stub-broken: upstream exploded/);
+});
+
+test('invalid requests get a problem+json 400 instead of a stream', async () => {
+  const response = await stream({ threadContent: { text: '   ' } });
+
+  assert.equal(response.status, 400);
+  assert.match(response.headers.get('content-type'), /^application\/problem\+json/);
+});
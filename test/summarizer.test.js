@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeWithModel } = require('../utils/summarizer');
+const { parseStructuredSummary } = require('../utils/parser');
+
+const thread = { text: 'Should we move the standup to 10am?\nYes, 9am is too early for the west coast folks.' };
+
+// A stand-in model that answers with the given responses in turn and records what it was asked
+function scriptedModel(...responses) {
+  const calls = [];
+  const generate = async (prompt, options) => {
+    calls.push({ prompt, ...options });
+    const response = responses[calls.length - 1];
+    if (response instanceof Error) throw response;
+    return response;
+  };
+  return { generate, calls };
+}
+
+const valid = JSON.stringify({
+  keyPoints: ['Move the standup to 10am', 'West coast folks find 9am too early'],
+  quotes: ['"9am is too early for the west coast folks"'],
+  sentiment: 'positive'
+});
+
+test('valid JSON is used as is', async () => {
+  const model = scriptedModel(valid);
+  const summary = await summarizeWithModel(model.generate, thread, { outputMode: 'json' });
+
+  assert.equal(summary.parseMode, 'json');
+  assert.deepEqual(summary.keyPoints, ['Move the standup to 10am', 'West coast folks find 9am too early']);
+  assert.deepEqual(summary.quotes, ['9am is too early for the west coast folks']);
+  assert.equal(summary.sentiment, 'positive');
+  assert.equal(model.calls.length, 1);
+  assert.equal(model.calls[0].json, true);
+});
+
+test('fences and chatter around the JSON are tolerated', async () => {
+  const model = scriptedModel(`Here is the summary:\n\`\`\`json\n${valid}\n\`\`\`\nHope this helps!`);
+  const summary = await summarizeWithModel(model.generate, thread, { outputMode: 'json' });
+
+  assert.equal(summary.parseMode, 'json');
+  assert.equal(model.calls.length, 1);
+});
+
+test('invalid JSON gets one repair attempt with the validation errors', async () => {
+  const model = scriptedModel('{"keyPoints": [], "quotes": "none"}', valid);
+  const summary = await summarizeWithModel(model.generate, thread, { outputMode: 'json' });
+
+  assert.equal(summary.parseMode, 'json-repair');
+  assert.equal(model.calls.length, 2);
+  assert.equal(model.calls[1].json, true);
+  assert.match(model.calls[1].prompt, /keyPoints/);
+  assert.match(model.calls[1].prompt, /quotes/);
+});
+
+test('falls back to line parsing when the repair is still invalid', async () => {
+  const model = scriptedModel('Key points:\n- Standup moves to 10am\nSentiment: positive', 'still not JSON');
+  const summary = await summarizeWithModel(model.generate, thread, { outputMode: 'json' });
+
+  assert.equal(summary.parseMode, 'text');
+  assert.deepEqual(summary.keyPoints, ['Standup moves to 10am']);
+  assert.equal(model.calls.length, 2);
+});
+
+test('a failed repair call falls back to line parsing too', async () => {
+  const model = scriptedModel('Key points:\n- Standup moves to 10am', new Error('model unavailable'));
+  const summary = await summarizeWithModel(model.generate, thread, { outputMode: 'json' });
+
+  assert.equal(summary.parseMode, 'text');
+});
+
+test('text mode asks for plain text and parses lines', async () => {
+  const model = scriptedModel('Key points:\n- Standup moves to 10am\nQuotes:\n- "9am is too early"');
+  const summary = await summarizeWithModel(model.generate, thread, { outputMode: 'text' });
+
+  assert.equal(summary.parseMode, 'text');
+  assert.deepEqual(summary.quotes, ['9am is too early']);
+  assert.equal(model.calls[0].json, false);
+});
+
+test('structured output must match the summary schema', () => {
+  assert.ok(parseStructuredSummary(valid).summary);
+  assert.match(parseStructuredSummary('no braces here').errors[0], /invalid JSON/);
+  assert.ok(parseStructuredSummary('{"keyPoints": ["ok"], "quotes": [], "sentiment": "furious"}').errors.some(error => /sentiment/.test(error)));
+  assert.ok(parseStructuredSummary('{"keyPoints": [" "], "quotes": []}').errors.some(error => /keyPoints/.test(error)));
+  // Overlong items are cut rather than rejected
+  const long = parseStructuredSummary(JSON.stringify({ keyPoints: ['x'.repeat(150)], quotes: [] }));
+  assert.equal(long.summary.keyPoints[0].length, 100);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeTextStats, detectScript } = require('../utils/textStats');
+const providers = require('../utils/providers');
+
+test('counts words and sentences in spaced scripts', () => {
+  const stats = computeTextStats('Hello world. This is a test! Two sentences? Three.');
+
+  assert.equal(stats.wordCount, 9);
+  assert.equal(stats.sentenceCount, 4);
+  assert.equal(stats.script, 'latin');
+});
+
+test('reading time follows the configured words per minute', () => {
+  const stats = computeTextStats('word '.repeat(450));
+
+  assert.equal(stats.readingTimeSeconds, 135);
+  assert.equal(stats.timeToRead, 3);
+  assert.equal(computeTextStats('word '.repeat(450), { readingWpm: 450 }).readingTimeSeconds, 60);
+});
+
+test('CJK text is timed per character', () => {
+  const stats = computeTextStats('我们今天去公园散步。天气很好。');
+
+  assert.equal(stats.script, 'han');
+  assert.equal(stats.sentenceCount, 2);
+  // 13 characters at 500 per minute
+  assert.equal(stats.readingTimeSeconds, 2);
+  assert.equal(stats.timeToRead, 1);
+});
+
+test('kana makes a text Japanese even with more kanji', () => {
+  assert.equal(detectScript('今日は晴れです'), 'kana');
+  assert.equal(detectScript('Привет, мир'), 'cyrillic');
+  assert.equal(detectScript('123 456'), 'none');
+});
+
+test('empty text takes no time to read', () => {
+  assert.deepEqual(computeTextStats('   '), {
+    wordCount: 0,
+    sentenceCount: 0,
+    characterCount: 0,
+    script: 'none',
+    timeToRead: 0,
+    readingTimeSeconds: 0
+  });
+});
+
+test('summaries count the post bodies, not the rendered post prefixes', async () => {
+  const posts = [
+    { id: '1', author: 'ana', timestamp: null, parentId: null, text: 'Three words here.' },
+    { id: '2', author: 'ben', timestamp: null, parentId: '1', text: 'And four more words.' }
+  ];
+  const { result } = await providers.summarize({ posts, text: '[1] ana: Three words here.\n[2] ben replying to ana [1]: And four more words.' }, { providers: ['local'] });
+
+  assert.equal(result.wordCount, 7);
+  assert.equal(result.sentenceCount, 2);
+});
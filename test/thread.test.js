@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { threadContentErrors, normalizeThread, chunkPosts, attributeQuotes } = require('../utils/thread');
+
+const posts = [
+  { id: 1, author: ' alice ', timestamp: '2024-05-01T09:30:00Z', text: 'Should we switch the build to esbuild?\nIt is much faster.' },
+  { id: 2, author: 'bob', timestamp: 1714556400000, parentId: 1, text: 'Only if source maps keep working in the debugger.' },
+  { id: 3, parentId: 2, text: 'They do, I checked last week.' }
+];
+
+test('normalizes posts and renders who replied to whom', () => {
+  const thread = normalizeThread({ posts });
+
+  assert.deepEqual(thread.posts[0], {
+    id: '1',
+    author: 'alice',
+    timestamp: '2024-05-01T09:30:00.000Z',
+    parentId: null,
+    text: 'Should we switch the build to esbuild?\nIt is much faster.'
+  });
+  assert.equal(thread.posts[1].timestamp, '2024-05-01T09:40:00.000Z');
+  assert.equal(thread.text, [
+    '[1] alice (2024-05-01 09:30 UTC): Should we switch the build to esbuild? It is much faster.',
+    '[2] bob (2024-05-01 09:40 UTC) replying to alice [1]: Only if source maps keep working in the debugger.',
+    '[3] unknown replying to bob [2]: They do, I checked last week.'
+  ].join('\n'));
+});
+
+test('plain text threads keep their text', () => {
+  assert.deepEqual(normalizeThread({ text: 'Just text' }), { text: 'Just text' });
+});
+
+test('reports each problem the schema can\'t see with the post it belongs to', () => {
+  const errors = threadContentErrors({ posts: [
+    { id: 'a', text: 'fine' },
+    { id: 'a', text: 'duplicate id' },
+    { id: 'c', text: 'bad time', timestamp: 'yesterday' },
+    { id: 'd', text: 'orphan', parentId: 'zzz' }
+  ] });
+
+  assert.deepEqual(errors, [
+    { pointer: '#/threadContent/posts/1/id', detail: 'threadContent.posts[1].id "a" is duplicated' },
+    { pointer: '#/threadContent/posts/2/timestamp', detail: 'threadContent.posts[2].timestamp must be an ISO date string or epoch milliseconds' },
+    { pointer: '#/threadContent/posts/3/parentId', detail: 'threadContent.posts[3].parentId "zzz" does not match any post id' }
+  ]);
+  assert.deepEqual(threadContentErrors({ posts }), []);
+  assert.deepEqual(threadContentErrors({ text: 'Just text' }), []);
+});
+
+test('chunks break between posts and keep reply context', () => {
+  const thread = normalizeThread({ posts });
+  const chunks = chunkPosts(thread.posts, 120);
+
+  assert.deepEqual(chunks.map(chunk => chunk.posts.map(post => post.id)), [['1'], ['2'], ['3']]);
+  assert.match(chunks[2].text, /replying to bob \[2\]/);
+});
+
+test('quotes point back to the post they came from', () => {
+  const thread = normalizeThread({ posts });
+  const sources = attributeQuotes([
+    '[2] Only if source maps keep working',
+    'source maps keep working in the debugger…',
+    'I checked it last week, they do',
+    'Nobody said this'
+  ], thread.posts);
+
+  assert.deepEqual(sources, [
+    { postId: '2', author: 'bob' },
+    { postId: '2', author: 'bob' },
+    { postId: '3', author: null },
+    null
+  ]);
+});
@@ -0,0 +1,100 @@
+// The app logs JSON lines on stdout, which the test runner also reads its results from
+process.env.LOG_LEVEL = 'error';
+
+const os = require('os');
+const path = require('path');
+
+process.env.API_KEYS_FILE = path.join(os.tmpdir(), `validation-test-keys-${process.pid}.json`);
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { requestId } = require('../middleware/requestId');
+const apiRoutes = require('../routes/api');
+
+const app = express();
+app.use(requestId);
+app.use(express.json());
+app.use('/api', apiRoutes);
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function post(route, body) {
+  const response = await fetch(`${baseUrl}/api${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { response, body: await response.json() };
+}
+
+test('invalid bodies get a problem with a pointer per error', async () => {
+  const { response, body } = await post('/reply', {
+    threadContent: { text: 'Any plans for the weekend?' },
+    summary: { keyPoints: 'not a list' },
+    options: { tone: 'sarcastic', count: 9, colour: 'blue' }
+  });
+
+  assert.equal(response.status, 400);
+  assert.match(response.headers.get('content-type'), /^application\/problem\+json/);
+  assert.equal(body.type, '/problems/validation-error');
+  assert.equal(body.title, 'Invalid request');
+  assert.equal(body.status, 400);
+  assert.equal(body.instance, '/api/reply');
+  assert.equal(body.requestId, response.headers.get('x-request-id'));
+  assert.deepEqual(body.errors.map(error => error.pointer).sort(), [
+    '#/options/colour',
+    '#/options/count',
+    '#/options/tone',
+    '#/summary/keyPoints'
+  ]);
+  assert.equal(body.detail, 'The request body has 4 problems');
+  // The old { error, message } fields stay for existing clients
+  assert.equal(body.error, body.title);
+  assert.equal(body.message, body.detail);
+});
+
+test('a single problem is the detail itself', async () => {
+  const { body } = await post('/summarize', { threadContent: { text: '   ' } });
+
+  assert.equal(body.errors.length, 1);
+  assert.equal(body.errors[0].pointer, '#/threadContent/text');
+  assert.equal(body.detail, body.errors[0].detail);
+});
+
+test('thread checks the schema can\'t express point at the post', async () => {
+  const { response, body } = await post('/summarize', {
+    threadContent: { posts: [{ id: 1, text: 'First' }, { id: 2, text: 'Reply', parentId: 7 }] }
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(body.errors.map(error => error.pointer), ['#/threadContent/posts/1/parentId']);
+});
+
+test('unknown providers are rejected, whichever way the chain is given', async () => {
+  const asArray = await post('/summarize', { threadContent: { text: 'Hello' }, options: { providers: ['local', 'nope'] } });
+  assert.equal(asArray.response.status, 400);
+  assert.deepEqual(asArray.body.errors.map(error => error.pointer), ['#/options/providers']);
+
+  const asString = await post('/summarize', { threadContent: { text: 'Hello' }, options: { providers: 'local,nope' } });
+  assert.equal(asString.response.status, 400);
+  assert.match(asString.body.detail, /nope/);
+});
+
+test('the OpenAPI document describes the same schemas', async () => {
+  const document = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+
+  assert.equal(document.openapi, '3.1.0');
+  assert.ok(document.paths['/api/summarize'].post);
+  assert.ok(document.paths['/api/reply'].post);
+});
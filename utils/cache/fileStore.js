@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const { logger } = require('../logger');
+
+// Memory LRU that survives restarts: the entries are snapshotted to a JSON file a moment
+// after they change, and reloaded (minus anything expired) on startup.
+class FileStore extends MemoryStore {
+  constructor(options) {
+    super(options);
+    this.name = 'file';
+    this.filePath = options.filePath;
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+      // Saved oldest-first, so replaying keeps the LRU order
+      (data.entries || []).forEach(([key, entry]) => {
+        if (entry.expiresAt > now) {
+          this.entries.set(key, entry);
+          this.bytes += entry.size;
+        }
+      });
+      logger.info('Loaded cache entries', { entries: this.entries.size, file: this.filePath });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Could not read cache file', { file: this.filePath, error });
+      }
+    }
+  }
+
+  changed() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveNow();
+    }, 2000);
+    this.saveTimer.unref();
+  }
+
+  saveNow() {
+    const tmpPath = `${this.filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify({ entries: Array.from(this.entries.entries()) }));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error('Could not write cache file', { file: this.filePath, error });
+    }
+  }
+
+  // The snapshot directory must stay writable, or entries are lost on restart
+  async ping() {
+    const directory = path.dirname(this.filePath);
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.access(directory, fs.constants.W_OK);
+  }
+
+  async info() {
+    return { ...(await super.info()), filePath: this.filePath };
+  }
+}
+
+module.exports = FileStore;
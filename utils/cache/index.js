@@ -0,0 +1,121 @@
+const config = require('../../config');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const RedisStore = require('./redisStore');
+const { callWithTimeout } = require('../timeout');
+const metrics = require('../metrics');
+
+// Response cache shared by the API routes and the admin endpoints.
+// Stores are async and interchangeable: get, set(key, value, ttlSeconds), del, keys(prefix),
+// expiresAt, flush, info, ping. Pick one with CACHE_STORE=memory|file|redis.
+function createStore() {
+  const options = config.cache;
+  switch (options.store) {
+    case 'file':
+      return new FileStore(options);
+    case 'redis':
+      return new RedisStore(options);
+    case 'memory':
+      return new MemoryStore(options);
+    default:
+      throw new Error(`Unknown CACHE_STORE "${options.store}" (expected memory, file or redis)`);
+  }
+}
+
+const store = createStore();
+const counters = { hits: 0, misses: 0 };
+
+// Keys are "<route>:<hash>", so a route is a key prefix
+const ROUTE_PREFIXES = {
+  summarize: 'summarize:',
+  reply: 'reply:'
+};
+
+async function get(key) {
+  const value = await store.get(key);
+  if (value === undefined) counters.misses++;
+  else counters.hits++;
+  metrics.cacheRequests.inc({ route: routeOf(key), result: value === undefined ? 'miss' : 'hit' });
+  return value;
+}
+
+metrics.registry.gauge('cache_hit_ratio', 'Share of response cache lookups served from the cache since start', [], () => {
+  const total = counters.hits + counters.misses;
+  return [{ value: total > 0 ? counters.hits / total : 0 }];
+});
+
+async function set(key, value, ttlSeconds = config.cache.ttlSeconds) {
+  return store.set(key, value, ttlSeconds);
+}
+
+function routeOf(key) {
+  return Object.keys(ROUTE_PREFIXES).find(route => key.startsWith(ROUTE_PREFIXES[route])) || 'other';
+}
+
+// Real numbers for the admin API: key counts per route, hit ratio and memory
+async function stats() {
+  const keys = await store.keys();
+  const byRoute = {};
+  keys.forEach(key => {
+    const route = routeOf(key);
+    byRoute[route] = (byRoute[route] || 0) + 1;
+  });
+  const { hits, misses } = counters;
+
+  return {
+    ...(await store.info()),
+    keys: keys.length,
+    byRoute,
+    hits,
+    misses,
+    hitRatio: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null,
+    processHeapUsed: process.memoryUsage().heapUsed
+  };
+}
+
+// Entry with its expiry, or null. Reads the store directly so inspecting doesn't count as a hit.
+async function inspect(key) {
+  const value = await store.get(key);
+  if (value === undefined) return null;
+  const expiresAt = await store.expiresAt(key);
+  return {
+    key,
+    route: routeOf(key),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    value
+  };
+}
+
+// Remove matching keys; returns how many were deleted
+async function evictPrefix(prefix) {
+  const keys = await store.keys(prefix);
+  let deleted = 0;
+  for (const key of keys) {
+    deleted += await store.del(key);
+  }
+  return deleted;
+}
+
+// Backend status for readiness checks
+async function health() {
+  const started = Date.now();
+  try {
+    await callWithTimeout(() => store.ping(), 2000);
+    return { store: store.name, ok: true, latencyMs: Date.now() - started };
+  } catch (error) {
+    return { store: store.name, ok: false, latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+module.exports = {
+  ROUTE_PREFIXES,
+  get,
+  set,
+  del: key => store.del(key),
+  keys: prefix => store.keys(prefix),
+  flush: () => store.flush(),
+  stats,
+  inspect,
+  evictPrefix,
+  health
+};
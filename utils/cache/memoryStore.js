@@ -0,0 +1,96 @@
+// In-process LRU store, bounded by entry count and by approximate size in bytes.
+// A Map keeps insertion order, so re-inserting on read makes the first key the least recently used.
+class MemoryStore {
+  constructor({ maxEntries, maxBytes }) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      return undefined;
+    }
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    const size = Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value));
+    // The old value goes either way, so a value too big to keep doesn't leave a stale one behind
+    const existed = this.remove(key);
+    if (size > this.maxBytes) {
+      if (existed) this.changed();
+      return;
+    }
+
+    this.entries.set(key, { value, size, expiresAt: Date.now() + ttlSeconds * 1000 });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.remove(this.entries.keys().next().value);
+      this.evictions++;
+    }
+    this.changed();
+  }
+
+  async del(key) {
+    const existed = this.remove(key);
+    if (existed) this.changed();
+    return existed ? 1 : 0;
+  }
+
+  async keys(prefix = '') {
+    const now = Date.now();
+    return Array.from(this.entries.entries())
+      .filter(([key, entry]) => key.startsWith(prefix) && entry.expiresAt > now)
+      .map(([key]) => key);
+  }
+
+  // Expiry timestamp in ms, or null when the key is missing
+  async expiresAt(key) {
+    const entry = this.entries.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry.expiresAt : null;
+  }
+
+  async flush() {
+    this.entries.clear();
+    this.bytes = 0;
+    this.changed();
+  }
+
+  async info() {
+    return {
+      store: this.name,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      evictions: this.evictions
+    };
+  }
+
+  // Nothing can be down in-process
+  async ping() {}
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  // Hook for stores that persist the map
+  changed() {}
+}
+
+module.exports = MemoryStore;
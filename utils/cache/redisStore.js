@@ -0,0 +1,82 @@
+// Redis (or any Redis-compatible server: Valkey, KeyDB, Dragonfly) store.
+// Size-bounded LRU eviction is the server's job: set maxmemory and maxmemory-policy allkeys-lru.
+const { logger } = require('../logger');
+
+class RedisStore {
+  constructor({ redisUrl, keyPrefix }) {
+    // Only needed for this store, so it's loaded lazily
+    const Redis = require('ioredis');
+    this.name = 'redis';
+    this.keyPrefix = keyPrefix;
+    this.client = new Redis(redisUrl, { maxRetriesPerRequest: 1 });
+    // ioredis keeps reconnecting on its own; log each new error once rather than every retry
+    let lastError = null;
+    this.client.on('error', error => {
+      if (error.message !== lastError) logger.error('Redis cache error', { error });
+      lastError = error.message;
+    });
+    this.client.on('ready', () => { lastError = null; });
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.keyPrefix + key);
+    return raw === null ? undefined : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(this.keyPrefix + key, JSON.stringify(value), 'EX', ttlSeconds);
+  }
+
+  async del(key) {
+    return this.client.del(this.keyPrefix + key);
+  }
+
+  // SCAN rather than KEYS so a big keyspace doesn't block the server
+  async keys(prefix = '') {
+    const found = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', `${this.keyPrefix}${escapeGlob(prefix)}*`, 'COUNT', 500);
+      cursor = next;
+      batch.forEach(key => found.push(key.substring(this.keyPrefix.length)));
+    } while (cursor !== '0');
+    return found;
+  }
+
+  async expiresAt(key) {
+    const ttl = await this.client.pttl(this.keyPrefix + key);
+    return ttl > 0 ? Date.now() + ttl : null;
+  }
+
+  async flush() {
+    const keys = await this.keys();
+    for (let i = 0; i < keys.length; i += 500) {
+      await this.client.del(...keys.slice(i, i + 500).map(key => this.keyPrefix + key));
+    }
+  }
+
+  async ping() {
+    await this.client.ping();
+  }
+
+  async info() {
+    const memory = await this.client.info('memory').catch(() => '');
+    const field = name => {
+      const match = memory.match(new RegExp(`^${name}:(.+)$`, 'm'));
+      return match ? match[1].trim() : null;
+    };
+    return {
+      store: this.name,
+      entries: (await this.keys()).length,
+      bytes: Number(field('used_memory')) || null,
+      maxBytes: Number(field('maxmemory')) || null,
+      evictionPolicy: field('maxmemory_policy')
+    };
+  }
+}
+
+function escapeGlob(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,59 @@
+// Split thread text into chunks of at most maxChars, preferring line and sentence boundaries
+function chunkText(text, maxChars) {
+  const source = (text || '').trim();
+  if (source.length <= maxChars) {
+    return source.length > 0 ? [source] : [];
+  }
+
+  const chunks = [];
+  let current = '';
+
+  const flush = () => {
+    if (current.trim()) chunks.push(current.trim());
+    current = '';
+  };
+
+  const append = (piece, separator) => {
+    if (current && current.length + separator.length + piece.length > maxChars) {
+      flush();
+    }
+    current = current ? current + separator + piece : piece;
+  };
+
+  for (const line of source.split('\n')) {
+    if (line.length <= maxChars) {
+      append(line, '\n');
+      continue;
+    }
+
+    // Oversized line: fall back to sentences, then to hard cuts
+    const sentences = line.match(/[^.!?]+[.!?]*\s*/g) || [line];
+    for (const sentence of sentences) {
+      for (let start = 0; start < sentence.length; start += maxChars) {
+        append(sentence.substring(start, start + maxChars).trim(), ' ');
+      }
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+// The opening of `text`, at most maxChars long and cut where chunkText would cut it
+function excerpt(text, maxChars) {
+  return chunkText(text, maxChars)[0] || '';
+}
+
+// Pick `count` indexes spread across `total` items, always keeping the first and last
+function spreadIndexes(total, count) {
+  if (count >= total) return Array.from({ length: total }, (_, i) => i);
+  if (count <= 1) return [0];
+
+  const indexes = new Set();
+  for (let i = 0; i < count; i++) {
+    indexes.add(Math.round(i * (total - 1) / (count - 1)));
+  }
+  return Array.from(indexes).sort((a, b) => a - b);
+}
+
+module.exports = { chunkText, excerpt, spreadIndexes };
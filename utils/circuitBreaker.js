@@ -0,0 +1,240 @@
+const config = require('../config');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
+
+// HTTP status of a provider error: `status` (Gemini SDK, OpenAI) or `httpResponse.status` (Hugging Face SDK)
+const statusOf = error => error.status || (error.httpResponse && error.httpResponse.status);
+
+// Quota and rate-limit errors: HTTP 429 from any provider, or the wording the SDKs use for it
+function isQuotaError(error) {
+  return statusOf(error) === 429 || /\b429\b|quota|rate.?limit|resource.?exhausted|too many requests/i.test(error.message || '');
+}
+
+// Model removed or not served for this task (HTTP 404 or 410); retrying soon won't help.
+// Only the status counts: error text can't tell a missing model from anything else that says "not found".
+function isUnavailableError(error) {
+  return [404, 410].includes(statusOf(error));
+}
+
+// closed: traffic flows. open: calls are skipped until the cooldown ends. half-open: one probe
+// call is let through; success closes the circuit, failure reopens it with a doubled cooldown.
+class CircuitBreaker {
+  constructor(name, options = config.breaker) {
+    this.name = name;
+    this.options = options;
+    this.state = 'closed';
+    this.outcomes = []; // last windowSize calls: { ok, ms }
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.openUntil = null;
+    this.cooldownMs = options.cooldownSeconds * 1000;
+    this.probing = false;
+    this.lastError = null;
+    this.lastSuccessAt = null;
+    this.quotaExhaustedUntil = null;
+    this.totals = { successes: 0, failures: 0, rejected: 0 };
+  }
+
+  // Whether a call would be let through right now, without claiming the half-open probe
+  isAvailable() {
+    if (this.state === 'closed') return true;
+    if (this.state === 'open') return Date.now() >= this.openUntil;
+    return !this.probing;
+  }
+
+  // Claim permission for one call; false means skip this provider/model
+  tryAcquire() {
+    if (this.state === 'open' && Date.now() >= this.openUntil) {
+      this.state = 'half-open';
+      this.probing = false;
+      logger.info('Circuit half-open, probing', { circuit: this.name });
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half-open' && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+    this.totals.rejected++;
+    return false;
+  }
+
+  recordSuccess(ms) {
+    this.record(true, ms);
+    this.totals.successes++;
+    this.lastSuccessAt = new Date().toISOString();
+    this.consecutiveFailures = 0;
+    if (this.state !== 'closed') {
+      logger.info('Circuit closed', { circuit: this.name });
+      this.state = 'closed';
+      this.probing = false;
+      this.outcomes = [{ ok: true, ms }];
+      this.cooldownMs = this.options.cooldownSeconds * 1000;
+      this.quotaExhaustedUntil = null;
+    }
+  }
+
+  recordFailure(error, ms) {
+    this.record(false, ms);
+    this.totals.failures++;
+    this.consecutiveFailures++;
+    this.lastError = { message: error.message, at: new Date().toISOString() };
+
+    if (isQuotaError(error)) {
+      // Quota won't come back in seconds; respect the provider's Retry-After when it sent one
+      const wait = Math.max(error.retryAfterMs || 0, this.options.quotaCooldownSeconds * 1000);
+      this.quotaExhaustedUntil = Date.now() + wait;
+      return this.open(wait, 'quota exhausted');
+    }
+    if (isUnavailableError(error)) {
+      this.cooldownMs = Math.max(this.cooldownMs, this.options.unavailableCooldownSeconds * 1000);
+      return this.open(this.cooldownMs, 'unavailable');
+    }
+    if (this.state === 'half-open') {
+      this.cooldownMs = Math.min(this.cooldownMs * 2, Math.max(this.options.maxCooldownSeconds * 1000, this.cooldownMs));
+      return this.open(this.cooldownMs, 'probe failed');
+    }
+
+    const { errorRate, calls } = this.windowStats();
+    if (this.consecutiveFailures >= this.options.failureThreshold ||
+        (calls >= this.options.minimumCalls && errorRate >= this.options.errorRateThreshold)) {
+      this.open(this.cooldownMs, `${this.consecutiveFailures} consecutive failures, error rate ${errorRate}`);
+    }
+  }
+
+  open(ms, reason) {
+    this.state = 'open';
+    this.probing = false;
+    this.openedAt = Date.now();
+    this.openUntil = Date.now() + ms;
+    logger.warn('Circuit open', { circuit: this.name, cooldownSeconds: Math.round(ms / 1000), reason });
+  }
+
+  record(ok, ms) {
+    this.outcomes.push({ ok, ms });
+    if (this.outcomes.length > this.options.windowSize) this.outcomes.shift();
+  }
+
+  windowStats() {
+    const calls = this.outcomes.length;
+    const failures = this.outcomes.filter(outcome => !outcome.ok).length;
+    const latencies = this.outcomes.map(outcome => outcome.ms).sort((a, b) => a - b);
+    return {
+      calls,
+      errorRate: calls > 0 ? Math.round((failures / calls) * 100) / 100 : 0,
+      avgLatencyMs: calls > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / calls) : null,
+      p95LatencyMs: calls > 0 ? latencies[Math.min(calls - 1, Math.floor(calls * 0.95))] : null
+    };
+  }
+
+  snapshot() {
+    return {
+      state: this.state === 'open' && Date.now() >= this.openUntil ? 'half-open' : this.state,
+      ...this.windowStats(),
+      consecutiveFailures: this.consecutiveFailures,
+      openUntil: this.state === 'open' ? new Date(this.openUntil).toISOString() : null,
+      quotaExhausted: Boolean(this.quotaExhaustedUntil && Date.now() < this.quotaExhaustedUntil),
+      lastSuccessAt: this.lastSuccessAt,
+      lastFailureAt: this.lastError ? this.lastError.at : null,
+      lastError: this.lastError,
+      totals: { ...this.totals }
+    };
+  }
+
+  // Model-level breakers ("<provider>:<model>") double as the per-model call metrics
+  observe(outcome, started) {
+    const separator = this.name.indexOf(':');
+    if (separator === -1) return;
+    const labels = { provider: this.name.substring(0, separator), model: this.name.substring(separator + 1) };
+    metrics.modelCalls.inc({ ...labels, outcome });
+    if (outcome !== 'circuit_open') metrics.modelDuration.observeSince(labels, started);
+  }
+
+  // Run one call through the breaker; throws without calling when the circuit is open
+  async run(operation) {
+    if (!this.tryAcquire()) {
+      const error = new Error(`circuit ${this.name} is open`);
+      error.circuitOpen = true;
+      throw error;
+    }
+    const started = Date.now();
+    try {
+      const result = await operation();
+      this.recordSuccess(Date.now() - started);
+      this.observe('success', started);
+      return result;
+    } catch (error) {
+      this.observe(error.cancelled ? 'cancelled' : error.circuitOpen ? 'circuit_open' : error.timeout ? 'timeout' : 'failure', started);
+      if (error.circuitOpen || error.cancelled) {
+        // An inner (per-model) circuit refused the call, or the client went away;
+        // neither says anything about this provider's health
+        this.probing = false;
+      } else {
+        this.recordFailure(error, Date.now() - started);
+      }
+      throw error;
+    }
+  }
+}
+
+// Breakers by name: "<provider>" for the provider as a whole, "<provider>:<model>" per model
+const breakers = new Map();
+
+function breakerFor(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+// Order names by recent health: available circuits first, then error rate in steps of 10 points,
+// then average latency in steps of 25%. Steps keep small differences from reshuffling the order, and
+// one key per name keeps the sort consistent. Names without a track record rank behind healthy ones
+// but ahead of failing ones; ties keep the given order.
+const ERROR_RATE_STEP = 0.1;
+const LATENCY_STEP = Math.log(1.25);
+
+function healthKey(breaker, index) {
+  const available = !breaker || breaker.isAvailable() ? 0 : 1;
+  const { calls, errorRate, avgLatencyMs } = breaker ? breaker.windowStats() : { calls: 0 };
+  if (calls === 0) return [available, 0, Infinity, index];
+  return [
+    available,
+    Math.floor(errorRate / ERROR_RATE_STEP + 1e-9),
+    Math.floor(Math.log(Math.max(avgLatencyMs, 1)) / LATENCY_STEP),
+    index
+  ];
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+function rankByHealth(names) {
+  return names
+    .map((name, index) => ({ name, key: healthKey(breakers.get(name), index) }))
+    .sort((a, b) => compareKeys(a.key, b.key))
+    .map(entry => entry.name);
+}
+
+// Snapshot without creating a breaker; null when the name has never been called
+function breakerSnapshot(name) {
+  return breakers.has(name) ? breakers.get(name).snapshot() : null;
+}
+
+function breakerStates() {
+  const states = {};
+  breakers.forEach((breaker, name) => { states[name] = breaker.snapshot(); });
+  return states;
+}
+
+const STATE_VALUES = { closed: 0, 'half-open': 1, open: 2 };
+metrics.registry.gauge('circuit_state', 'Circuit breaker state (0 closed, 1 half-open, 2 open)', ['circuit'], () =>
+  Array.from(breakers.values()).map(breaker => ({
+    labels: { circuit: breaker.name },
+    value: STATE_VALUES[breaker.snapshot().state]
+  })));
+
+module.exports = { CircuitBreaker, breakerFor, breakerSnapshot, breakerStates, rankByHealth, isQuotaError, isUnavailableError };
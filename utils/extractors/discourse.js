@@ -0,0 +1,49 @@
+const { readableText, attr, toTimestamp, cleanName } = require('./dom');
+
+// Discourse topics, both as served to crawlers (what a plain fetch gets) and as saved from a browser
+module.exports = {
+  name: 'discourse',
+  platform: 'discourse',
+
+  matches($) {
+    return /^Discourse/i.test(attr($('meta[name="generator"]').first(), 'content') || '') ||
+      $('.crawler-post, article[data-post-id]').length > 0;
+  },
+
+  extract($) {
+    const title = $('#topic-title h1, .fancy-title, h1').first().text().trim() || $('title').text().trim();
+    const browserPosts = $('article[data-post-id]');
+    const posts = browserPosts.length > 0 ? fromBrowser($, browserPosts) : fromCrawlerView($);
+
+    // The topic title belongs with the opening post
+    if (title && posts.length > 0) posts[0].text = `${title}\n\n${posts[0].text}`;
+    return { title, posts };
+  }
+};
+
+function fromBrowser($, articles) {
+  return articles.toArray().map(element => {
+    const article = $(element);
+    const replyTo = attr(article.find('.reply-to-tab').first(), 'data-post-id');
+    return {
+      id: attr(article, 'data-post-id'),
+      author: cleanName(attr(article, 'data-user-card') || article.find('.names .username').first().text()),
+      timestamp: toTimestamp(attr(article.find('.relative-date').first(), 'data-time')),
+      parentId: replyTo || null,
+      text: readableText($, article.find('.cooked').first())
+    };
+  });
+}
+
+function fromCrawlerView($) {
+  return $('.crawler-post, [itemprop="comment"], [itemtype$="DiscussionForumPosting"]').toArray().map((element, index) => {
+    const post = $(element);
+    return {
+      id: attr(post, 'id') || String(index + 1),
+      author: cleanName(post.find('[itemprop="author"] [itemprop="name"], .creator [itemprop="name"]').first().text()),
+      timestamp: toTimestamp(attr(post.find('time[datetime], [itemprop="datePublished"]').first(), 'datetime', 'content')),
+      parentId: null,
+      text: readableText($, post.find('[itemprop="text"], .post').first())
+    };
+  });
+}
@@ -0,0 +1,74 @@
+// Helpers shared by the extractors: readable text from a cheerio element, and small attribute readers
+
+// Never part of what people wrote; removed from the page before any extractor runs. Forms stay, only
+// their controls go: old.reddit.com wraps every post body in <form class="usertext">.
+const NOISE = 'script, style, noscript, template, svg, canvas, iframe, button, input, select, textarea, [hidden], [aria-hidden="true"]';
+const BLOCKS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'summary', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul'
+]);
+
+// Text of `element` with line breaks where the browser would put them. Quoted blocks keep a "> "
+// prefix, so the platform cleanup can drop quotes of earlier posts (see utils/platforms).
+function readableText($, element) {
+  const parts = [];
+
+  const walk = node => {
+    if (node.type === 'text') {
+      parts.push(node.data.replace(/\s+/g, ' '));
+      return;
+    }
+    // Script and style elements have their own node types and are skipped here as well
+    if (node.type !== 'tag' && node.type !== 'root') return;
+
+    const name = node.name;
+    if (name === 'br') {
+      parts.push('\n');
+      return;
+    }
+    const block = BLOCKS.has(name);
+    if (block) parts.push('\n');
+    const start = parts.length;
+    (node.children || []).forEach(walk);
+    if (name === 'blockquote') {
+      // Prefix every line written inside the quote (nested quotes end up with "> > ")
+      const quoted = parts.splice(start).join('').split('\n').map(line => (line.trim() ? `> ${line.trim()}` : line));
+      parts.push(quoted.join('\n'));
+    }
+    if (block) parts.push('\n');
+  };
+
+  $(element).each((index, node) => walk(node));
+
+  return parts.join('')
+    .split('\n')
+    .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// First non-empty attribute value among `names`
+function attr(element, ...names) {
+  for (const name of names) {
+    const value = element.attr(name);
+    if (value && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+// ISO timestamp from a <time datetime>, an epoch (seconds or milliseconds) or a date string; null otherwise
+function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  let date;
+  if (/^\d{10}$/.test(text)) date = new Date(Number(text) * 1000);
+  else if (/^\d{13}$/.test(text)) date = new Date(Number(text));
+  else date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const cleanName = value => (value ? value.replace(/^@|^u\//, '').trim() || null : null);
+
+module.exports = { NOISE, readableText, attr, toTimestamp, cleanName };
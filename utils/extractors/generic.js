@@ -0,0 +1,20 @@
+const { readableText } = require('./dom');
+
+// Any other page: the main content area as plain text, without site navigation
+module.exports = {
+  name: 'generic',
+  platform: 'generic',
+
+  matches() {
+    return true;
+  },
+
+  extract($) {
+    const title = $('meta[property="og:title"]').attr('content') || $('title').first().text().trim() || null;
+    $('nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"]').remove();
+    const main = ['main', '[role="main"]', 'article', '#content', '.content', 'body']
+      .map(selector => $(selector).first())
+      .find(element => element.length > 0 && element.text().trim());
+    return { title, text: main ? readableText($, main) : '' };
+  }
+};
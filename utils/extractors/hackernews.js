@@ -0,0 +1,52 @@
+const { readableText, attr, toTimestamp } = require('./dom');
+
+// news.ycombinator.com item pages: the story (title and optional text) then comments,
+// whose nesting is only given by an indent level on each row
+module.exports = {
+  name: 'hackernews',
+  platform: 'hackernews',
+
+  matches($, url) {
+    return /(^|\.)news\.ycombinator\.com$/.test(url.hostname) || $('table#hnmain').length > 0;
+  },
+
+  extract($) {
+    const posts = [];
+    const story = $('tr.athing.submission').first();
+    const title = story.find('.titleline > a').first().text().trim() || $('title').text().replace(/ \| Hacker News$/, '').trim();
+
+    if (story.length) {
+      const subtext = story.next('tr').find('.subtext');
+      const text = readableText($, $('.toptext').first());
+      posts.push({
+        id: attr(story, 'id'),
+        author: subtext.find('.hnuser').first().text().trim() || null,
+        timestamp: toTimestamp((attr(subtext.find('.age').first(), 'title') || '').split(' ')[0]),
+        parentId: null,
+        text: [title, text].filter(Boolean).join('\n\n')
+      });
+    }
+
+    // Parent of a comment: the closest comment above it with a smaller indent, or the story
+    const stack = [];
+    $('tr.athing.comtr').each((index, row) => {
+      const comment = $(row);
+      const indent = parseInt(attr(comment.find('td.ind').first(), 'indent') || '0', 10);
+      while (stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+
+      const body = comment.find('.commtext').first().clone();
+      body.find('.reply').remove();
+      const post = {
+        id: attr(comment, 'id'),
+        author: comment.find('.hnuser').first().text().trim() || null,
+        timestamp: toTimestamp((attr(comment.find('.age').first(), 'title') || '').split(' ')[0]),
+        parentId: stack.length > 0 ? stack[stack.length - 1].id : (posts[0] ? posts[0].id : null),
+        text: readableText($, body)
+      };
+      posts.push(post);
+      stack.push({ id: post.id, indent });
+    });
+
+    return { title, posts };
+  }
+};
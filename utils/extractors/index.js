@@ -0,0 +1,97 @@
+// Server-side extraction of threads from raw HTML or a saved page snapshot (threadContent.html).
+// Pages are parsed with cheerio, so nothing runs scripts or fetches anything: what the page had
+// rendered when it was saved is what we get. Each extractor module describes one site layout:
+//   name, platform (the cleanup rules in utils/platforms that fit what it returns)
+//   matches($, url): whether this page has that layout
+//   extract($): { title, posts: [{ id, author, timestamp, parentId, text }] } or { title, text }
+// The first match wins; generic matches any page and takes the main content area as text.
+const cheerio = require('cheerio');
+const config = require('../../config');
+const { logger } = require('../logger');
+const { NOISE } = require('./dom');
+const { extractMhtml } = require('./mhtml');
+
+const EXTRACTORS = [
+  require('./hackernews'),
+  require('./reddit'),
+  require('./discourse'),
+  require('./stackexchange'),
+  require('./xenforo'),
+  require('./phpbb'),
+  require('./generic')
+];
+
+const EXTRACTOR_NAMES = EXTRACTORS.map(extractor => extractor.name);
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch (error) {
+    return { hostname: '' };
+  }
+}
+
+// Posts as normalizeThread expects them: string ids that are unique, replies only to posts that
+// were kept, no empty bodies, and the thread's size limits applied (later posts are left out)
+function usablePosts(posts, maxPosts) {
+  const ids = new Set();
+  const kept = [];
+  let totalChars = 0;
+
+  for (const [index, post] of posts.entries()) {
+    const text = (post.text || '').substring(0, config.api.maxPostChars).trim();
+    if (!text) continue;
+    if (kept.length >= maxPosts || totalChars + text.length > config.api.maxThreadChars) break;
+
+    let id = post.id ? String(post.id) : String(index + 1);
+    if (ids.has(id)) id = `${id}-${index + 1}`;
+    ids.add(id);
+    totalChars += text.length;
+    kept.push({ ...post, id, text });
+  }
+
+  return kept.map(post => ({
+    ...post,
+    parentId: post.parentId && ids.has(String(post.parentId)) && String(post.parentId) !== post.id ? String(post.parentId) : null
+  }));
+}
+
+// Thread content from a page: { posts } or { text }, plus the platform, the extractor that
+// read it and the page title. `url` (optional) helps pick the extractor; a snapshot's own URL
+// is used when it has one. Throws a 400 error when the page has no readable text.
+function extractThread(html, url, { maxPosts = Infinity } = {}) {
+  const snapshot = extractMhtml(html);
+  const page = snapshot ? snapshot.html : html;
+  const location = parseUrl(url || (snapshot && snapshot.url));
+
+  const $ = cheerio.load(page);
+  $(NOISE).remove();
+
+  for (const extractor of EXTRACTORS) {
+    if (!extractor.matches($, location)) continue;
+
+    const { title, posts, text } = extractor.extract($);
+    const result = { platform: extractor.platform, extractor: extractor.name, title: title || null };
+
+    if (posts) {
+      const usable = usablePosts(posts, maxPosts);
+      if (usable.length > 0) {
+        logger.debug('Extracted thread from HTML', { extractor: extractor.name, posts: usable.length, htmlChars: page.length });
+        return { ...result, posts: usable };
+      }
+      // A layout that matched but yielded nothing (e.g. a page saved before comments loaded): try the next one
+      continue;
+    }
+
+    if (text) {
+      logger.debug('Extracted thread from HTML', { extractor: extractor.name, chars: text.length, htmlChars: page.length });
+      return { ...result, text: text.substring(0, config.api.maxThreadChars) };
+    }
+  }
+
+  const error = new Error('threadContent.html has no readable text');
+  error.statusCode = 400;
+  throw error;
+}
+
+module.exports = { extractThread, EXTRACTOR_NAMES };
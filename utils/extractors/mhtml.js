@@ -0,0 +1,46 @@
+// Saved page snapshots: "Save page as... single file" (MHTML) wraps the HTML in a MIME multipart
+// message. Returns { html, url } for the page's HTML part, or null when `source` isn't MHTML.
+
+function isMhtml(source) {
+  const head = source.substring(0, 2000);
+  return /^(From|Snapshot-Content-Location|Subject|Date|MIME-Version):/m.test(head) && /multipart\/related/i.test(head);
+}
+
+// Quoted-printable bodies are 7-bit, so every "=XX" escape can be taken as one byte
+function decodeQuotedPrintable(body) {
+  const bytes = body
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(bytes, 'latin1').toString('utf8');
+}
+
+function headerValue(headers, name) {
+  const match = headers.match(new RegExp(`^${name}:\\s*(.+)$`, 'im'));
+  return match ? match[1].trim() : null;
+}
+
+function extractMhtml(source) {
+  if (!isMhtml(source)) return null;
+
+  const boundaryMatch = source.match(/boundary="?([^";\r\n]+)"?/i);
+  if (!boundaryMatch) return null;
+
+  const parts = source.split(`--${boundaryMatch[1]}`).slice(1);
+  for (const part of parts) {
+    const separator = part.search(/\r?\n\r?\n/);
+    if (separator === -1) continue;
+    const headers = part.substring(0, separator);
+    if (!/^Content-Type:\s*text\/html/im.test(headers)) continue;
+
+    const body = part.substring(separator).replace(/^\r?\n\r?\n/, '');
+    const encoding = (headerValue(headers, 'Content-Transfer-Encoding') || '').toLowerCase();
+    let html = body;
+    if (encoding === 'quoted-printable') html = decodeQuotedPrintable(body);
+    else if (encoding === 'base64') html = Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+
+    return { html, url: headerValue(headers, 'Content-Location') || headerValue(source.substring(0, 2000), 'Snapshot-Content-Location') };
+  }
+  return null;
+}
+
+module.exports = { extractMhtml };
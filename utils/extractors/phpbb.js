@@ -0,0 +1,26 @@
+const { readableText, attr, toTimestamp, cleanName } = require('./dom');
+
+// phpBB 3 topics (prosilver and derived styles)
+module.exports = {
+  name: 'phpbb',
+  platform: 'generic',
+
+  matches($) {
+    return $('body#phpbb').length > 0 || $('.postbody .content').length > 0;
+  },
+
+  extract($) {
+    const title = $('.topic-title').first().text().trim() || $('title').text().trim();
+    const posts = $('.post').toArray()
+      .map(element => $(element))
+      .filter(post => post.find('.postbody .content').length > 0)
+      .map(post => ({
+        id: (attr(post, 'id') || '').replace(/^p/, '') || null,
+        author: cleanName(post.find('.author .username, .author .username-coloured, .author strong').first().text()),
+        timestamp: toTimestamp(attr(post.find('.author time').first(), 'datetime')),
+        parentId: null,
+        text: readableText($, post.find('.postbody .content').first())
+      }));
+    return { title, posts };
+  }
+};
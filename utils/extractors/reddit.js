@@ -0,0 +1,78 @@
+const { readableText, attr, toTimestamp, cleanName } = require('./dom');
+
+// Reddit post pages in the current layout (shreddit-* custom elements) and old.reddit.com
+module.exports = {
+  name: 'reddit',
+  platform: 'reddit',
+
+  matches($, url) {
+    return /(^|\.)reddit\.com$/.test(url.hostname) || $('shreddit-post, shreddit-comment, #siteTable .thing').length > 0;
+  },
+
+  extract($) {
+    return $('shreddit-post').length > 0 ? extractCurrent($) : extractOld($);
+  }
+};
+
+function extractCurrent($) {
+  const posts = [];
+  const post = $('shreddit-post').first();
+  const title = attr(post, 'post-title') || post.find('[slot="title"]').first().text().trim();
+
+  if (post.length) {
+    const body = readableText($, post.find('[slot="text-body"]').first());
+    posts.push({
+      id: attr(post, 'id', 'thingid'),
+      author: cleanName(attr(post, 'author')),
+      timestamp: toTimestamp(attr(post, 'created-timestamp')),
+      parentId: null,
+      text: [title, body].filter(Boolean).join('\n\n')
+    });
+  }
+
+  $('shreddit-comment').each((index, element) => {
+    const comment = $(element);
+    // Only this comment's own body, not the replies nested inside the element
+    const body = comment.children('[slot="comment"]').first();
+    posts.push({
+      id: attr(comment, 'thingid'),
+      author: cleanName(attr(comment, 'author')),
+      timestamp: toTimestamp(attr(comment, 'created') || attr(comment.find('time').first(), 'datetime')),
+      parentId: attr(comment, 'parentid') || (posts[0] ? posts[0].id : null),
+      text: readableText($, body)
+    });
+  });
+
+  return { title, posts };
+}
+
+function extractOld($) {
+  const posts = [];
+  const link = $('#siteTable .thing.link').first();
+  const title = link.find('a.title').first().text().trim();
+
+  if (link.length) {
+    const body = readableText($, link.find('.usertext-body .md').first());
+    posts.push({
+      id: attr(link, 'data-fullname', 'id'),
+      author: cleanName(attr(link, 'data-author')),
+      timestamp: toTimestamp(attr(link.find('time').first(), 'datetime')),
+      parentId: null,
+      text: [title, body].filter(Boolean).join('\n\n')
+    });
+  }
+
+  $('.commentarea .thing.comment').each((index, element) => {
+    const comment = $(element);
+    const parent = comment.parent().closest('.thing.comment');
+    posts.push({
+      id: attr(comment, 'data-fullname', 'id'),
+      author: cleanName(attr(comment, 'data-author')),
+      timestamp: toTimestamp(attr(comment.children('.entry').find('time').first(), 'datetime')),
+      parentId: parent.length ? attr(parent, 'data-fullname', 'id') : (posts[0] ? posts[0].id : null),
+      text: readableText($, comment.children('.entry').find('.usertext-body .md').first())
+    });
+  });
+
+  return { title, posts };
+}
@@ -0,0 +1,41 @@
+const { readableText, attr, toTimestamp } = require('./dom');
+
+// Stack Overflow and the other Stack Exchange sites: the question, then each answer replying to it
+module.exports = {
+  name: 'stackexchange',
+  platform: 'generic',
+
+  matches($, url) {
+    return /(^|\.)(stackoverflow|stackexchange|superuser|serverfault|askubuntu)\.com$/.test(url.hostname) ||
+      $('#question .js-post-body').length > 0;
+  },
+
+  extract($) {
+    const title = $('#question-header h1').first().text().trim() || $('title').text().trim();
+    const posts = [];
+
+    const question = $('#question').first();
+    if (question.length) {
+      posts.push(postFrom($, question, attr(question, 'data-questionid') || 'question', null));
+      posts[0].text = [title, posts[0].text].filter(Boolean).join('\n\n');
+    }
+    $('.answer').each((index, element) => {
+      const answer = $(element);
+      posts.push(postFrom($, answer, attr(answer, 'data-answerid', 'id'), posts[0] ? posts[0].id : null));
+    });
+
+    return { title, posts };
+  }
+};
+
+function postFrom($, element, id, parentId) {
+  // The last signature block is the author; earlier ones are editors
+  const owner = element.find('.post-signature').last();
+  return {
+    id,
+    author: owner.find('.user-details a').first().text().trim() || null,
+    timestamp: toTimestamp(attr(owner.find('.relativetime').first(), 'title')),
+    parentId,
+    text: readableText($, element.find('.js-post-body, .s-prose').first())
+  };
+}
@@ -0,0 +1,28 @@
+const { readableText, attr, toTimestamp, cleanName } = require('./dom');
+
+// XenForo 2 threads
+module.exports = {
+  name: 'xenforo',
+  platform: 'generic',
+
+  matches($) {
+    return $('html#XF').length > 0 || $('article.message .bbWrapper').length > 0;
+  },
+
+  extract($) {
+    const title = $('.p-title-value').first().text().trim() || $('title').text().trim();
+    const posts = $('article.message').toArray().map(element => {
+      const message = $(element);
+      // Quote blocks name the post they came from: the first one is taken as the post replied to
+      const quoted = attr(message.find('blockquote[data-source^="post:"]').first(), 'data-source');
+      return {
+        id: (attr(message, 'data-content', 'id') || '').replace(/^(post-|js-post-)/, '') || null,
+        author: cleanName(attr(message, 'data-author') || message.find('.message-name').first().text()),
+        timestamp: toTimestamp(attr(message.find('time[datetime]').first(), 'datetime', 'data-time')),
+        parentId: quoted ? quoted.replace(/^post:\s*/, '') : null,
+        text: readableText($, message.find('.message-body .bbWrapper, .bbWrapper').first())
+      };
+    });
+    return { title, posts };
+  }
+};
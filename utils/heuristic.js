@@ -0,0 +1,197 @@
+const { LENGTHS, planReplies, fitLength } = require('./replies');
+const { analyzeThread } = require('./sentiment');
+const { createRandom, randomSeed } = require('./random');
+const { logger } = require('./logger');
+const { localeFor } = require('./locales');
+const { detectScript, countWords } = require('./textStats');
+// Structured threads give us the raw post bodies, without the "[id] author:" prefixes
+const { threadPlainText } = require('./thread');
+
+// Templates in the requested language when we have them, else in the thread's (see utils/locales).
+// Extracted key points and quotes stay in the thread's language: nothing here translates.
+const localeOf = (options = {}) => (options.language ? localeFor(options.language.target, options.language.detected) : localeFor('en'));
+
+// Local provider: builds summaries and replies from the thread text itself,
+// so there is always an answer when every remote API is unavailable
+class LocalService {
+  constructor() {
+    this.name = 'local';
+    // No model calls, so map-reduce doesn't need to budget chunks
+    this.local = true;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async summarize(threadContent, options = {}) {
+    return this.generateIntelligentSummary(threadContent, options);
+  }
+
+  async reply(threadContent, summary, options = {}) {
+    return this.generateIntelligentReply(threadContent, summary, options);
+  }
+
+  async analyzeSentiment(threadContent, options = {}) {
+    return analyzeThread(threadContent, options.language);
+  }
+
+  async health() {
+    return { name: this.name, configured: true };
+  }
+
+  generateIntelligentSummary(threadContent, options = {}) {
+    logger.debug('Generating heuristic summary');
+    const text = threadPlainText(threadContent);
+    const { summary: placeholders } = localeOf(options);
+    
+    if (text.trim().length === 0) {
+      return {
+        keyPoints: [placeholders.noContent.keyPoint],
+        quotes: [placeholders.noContent.quote],
+        sentiment: "neutral",
+        parseMode: 'heuristic'
+      };
+    }
+
+    // Split into lines and clean
+    const lines = text.split('\n')
+      .filter(line => line.trim().length > 10)
+      .map(line => line.trim())
+      .slice(0, 30); // Limit for performance
+
+    const keyPoints = [];
+    const quotes = [];
+    // Word counts that work for scripts written without spaces too
+    const script = detectScript(text);
+
+    // Intelligent extraction
+    if (lines.length > 0) {
+      // Extract meaningful content (likely key points)
+      const meaningfulLines = lines.filter(line => 
+        line.length > 30 && 
+        countWords(line, script) > 5 &&
+        !line.includes('http') &&
+        line.length < 280
+      );
+
+      // Generate key points
+      for (let i = 0; i < Math.min(3, meaningfulLines.length); i++) {
+        const line = meaningfulLines[i];
+        const cleanLine = line
+          .replace(/@\w+/g, '')
+          .replace(/#\w+/g, '')
+          .replace(/\s+/g, ' ')
+          .trim();
+        
+        if (cleanLine.length > 15) {
+          keyPoints.push(cleanLine.substring(0, 100) + (cleanLine.length > 100 ? '...' : ''));
+        }
+      }
+
+      // Extract potential quotes
+      const potentialQuotes = lines.filter(line => 
+        line.length > 20 && 
+        line.length < 120 &&
+        (line.includes('"') || line.includes('“') || line.length < 80)
+      );
+
+      for (let i = 0; i < Math.min(2, potentialQuotes.length); i++) {
+        const quote = potentialQuotes[i]
+          .replace(/[""]/g, '')
+          .replace(/@\w+/g, '')
+          .trim();
+        quotes.push(quote.substring(0, 80) + (quote.length > 80 ? '...' : ''));
+      }
+
+      // Fill in if needed
+      if (keyPoints.length === 0 && lines.length > 0) {
+        const firstLine = lines[0]
+          .replace(/@\w+/g, '')
+          .replace(/#\w+/g, '')
+          .replace(/\s+/g, ' ')
+          .trim();
+        keyPoints.push(firstLine.substring(0, 100) + (firstLine.length > 100 ? '...' : ''));
+      }
+
+      if (quotes.length === 0 && lines.length > 1) {
+        const middleLine = lines[Math.floor(lines.length / 2)]
+          .replace(/[""]/g, '')
+          .replace(/@\w+/g, '')
+          .trim();
+        quotes.push(middleLine.substring(0, 80) + (middleLine.length > 80 ? '...' : ''));
+      }
+    }
+
+    return {
+      keyPoints: keyPoints.length > 0 ? keyPoints.slice(0, 3) : [placeholders.fallback.keyPoint],
+      quotes: quotes.length > 0 ? quotes.slice(0, 2) : [placeholders.fallback.quote],
+      sentiment: "neutral",
+      parseMode: 'heuristic'
+    };
+  }
+
+  // Template replies, one per planned variant, honouring tone and length like the model prompts do.
+  // Templates are picked with a seeded generator, so the same seed gives the same replies.
+  generateIntelligentReply(threadContent, summary = {}, options = {}) {
+    logger.debug('Generating heuristic reply');
+    const text = threadPlainText(threadContent);
+    const locale = localeOf(options);
+    // The thread's own language decides what its opening line sounds like
+    const source = options.language ? localeFor(options.language.detected) : locale;
+    const plan = planReplies(options);
+    const random = createRandom(plan.seed !== undefined ? plan.seed : randomSeed());
+    const keyPoint = (summary.keyPoints || []).find(point => typeof point === 'string' && point.trim());
+    const used = new Set();
+
+    return plan.tones.map(tone => {
+      const pool = tone === 'match' ? this.matchingReplies(text, locale, source) : locale.tones[tone];
+      const fresh = pool.filter(reply => !used.has(reply));
+      const candidates = fresh.length > 0 ? fresh : pool;
+      let reply = candidates[Math.floor(random() * candidates.length)];
+      used.add(reply);
+
+      // Longer budgets get a sentence tying the reply to the thread
+      if (keyPoint && plan.maxChars > LENGTHS.short) {
+        const extended = `${reply} ${locale.followUps[tone](keyPoint.trim().replace(/[.!?]+$/, ''))}`;
+        if (extended.length <= plan.maxChars) reply = extended;
+      }
+
+      return { text: fitLength(reply, plan.maxChars), tone };
+    });
+  }
+
+  // Pool for the "match" tone in `locale`, picked from what the thread opens with (keywords from `source`)
+  matchingReplies(text, locale, source = locale) {
+    const { match } = locale;
+    if (text.trim().length === 0) {
+      return match.empty;
+    }
+
+    // Extract first few meaningful sentences
+    const lines = text.split('\n')
+      .filter(line => line.trim().length > 20)
+      .map(line => line.trim());
+
+    if (lines.length > 0) {
+      const firstLine = lines[0].toLowerCase();
+      
+      // Generate context-aware replies
+      const hasPositiveContext = source.match.positiveKeywords.some(keyword => firstLine.includes(keyword));
+      const hasQuestion = source.match.questionKeywords.some(keyword => firstLine.includes(keyword));
+
+      if (hasPositiveContext) {
+        return match.positive;
+      } else if (hasQuestion) {
+        return match.question;
+      } else {
+        return match.neutral;
+      }
+    }
+
+    // Default replies
+    return match.fallback;
+  }
+}
+
+module.exports = new LocalService();
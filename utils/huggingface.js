@@ -1,148 +1,271 @@
 const { HfInference } = require('@huggingface/inference');
+const config = require('../config');
+const { callWithTimeout } = require('./timeout');
+const { breakerFor, breakerSnapshot, rankByHealth, isQuotaError } = require('./circuitBreaker');
+const { logger } = require('./logger');
+const { TONES, planReplies, fitLength } = require('./replies');
+const { isEnglish, needsTranslation } = require('./language');
+const { excerpt } = require('./chunker');
+
+// Error for when no model answered. If every model was out of quota (it failed with one, or was skipped
+// while its circuit waits one out), it's a 429, so the provider's own circuit gets the quota cooldown too.
+function allModelsFailed(message, quota) {
+  const error = new Error(message);
+  if (quota.length > 0 && quota.every(Boolean)) error.status = 429;
+  return error;
+}
 
 class HuggingFaceService {
   constructor() {
-    this.HF_TOKEN = process.env.HUGGINGFACE_API_KEY;
-    if (!this.HF_TOKEN) {
-      console.warn('⚠️ Hugging Face API key not found in environment variables');
+    this.name = 'huggingface';
+    this.log = logger.child({ provider: this.name });
+    this.HF_TOKEN = config.huggingface.apiKey;
+    if (this.HF_TOKEN) {
+      this.hf = new HfInference(this.HF_TOKEN);
+      this.log.info('Hugging Face service initialized');
+    } else {
+      this.log.warn('API key not found - provider disabled');
     }
-    this.inference = new HfInference(this.HF_TOKEN);
-    
-    // Default models - you can change these based on your testing
-    this.SUMMARIZATION_MODEL = 'facebook/bart-large-cnn'; // Good for summarization
-    this.REPLY_MODEL = 'microsoft/DialoGPT-medium'; // Good for conversational replies
+
+    // Input budget per call (HF_MAX_INPUT_CHARS); map-reduce chunks long threads to this size
+    this.maxInputChars = config.huggingface.maxInputChars;
+
+    // Models in order of preference (see config); rankModels() adapts the order at runtime
+    this.summaryModels = config.huggingface.summaryModels;
+    this.replyModels = config.huggingface.replyModels;
+  }
+
+  // Configured order, reshuffled by each model's recent success rate and latency
+  rankModels(models) {
+    const prefix = `${this.name}:`;
+    return rankByHealth(models.map(model => prefix + model)).map(name => name.substring(prefix.length));
+  }
+
+  isConfigured() {
+    return Boolean(this.hf);
   }
 
-  async summarizeThread(threadContent) {
-    try {
-      console.log('🤖 Calling Hugging Face for summarization...');
-      
-      // Prepare the prompt for summarization
-      const prompt = `Summarize this social media thread. Provide exactly 3 key points and 2 notable quotes.
-      
-Thread content: ${threadContent.text.substring(0, 1000)}
-
-Format your response as:
-Key Points:
-1. [First key point]
-2. [Second key point]  
-3. [Third key point]
-
-Quotes:
-1. [First notable quote]
-2. [Second notable quote]`;
-
-      // Use text generation model for more control
-      const response = await this.inference.textGeneration({
-        model: 'google/flan-t5-base', // Instruction-following model
-        inputs: prompt,
-        parameters: {
-          max_new_tokens: 200,
-          temperature: 0.7,
-          top_p: 0.9,
-          repetition_penalty: 1.2
+  // Models for the request's language, in ranked order. BART-CNN, T5 and GPT-2 only know English;
+  // models listed in HF_MULTILINGUAL_MODELS take other languages, but none of them translate.
+  modelsFor(models, language) {
+    if (isEnglish(language)) return this.rankModels(models);
+    if (needsTranslation(language)) return [];
+    return this.rankModels(models.filter(model => config.huggingface.multilingualModels.includes(model)));
+  }
+
+  // Routing hook for the provider chain: skip this provider when no model fits the language
+  supportsLanguage(language, task) {
+    return this.modelsFor(task === 'reply' ? this.replyModels : this.summaryModels, language).length > 0;
+  }
+
+  async summarize(threadContent, options = {}) {
+    this.log.debug('Summarizing');
+
+    if (!this.hf) {
+      throw new Error('Hugging Face service not initialized');
+    }
+
+    // Chunks already fit; a direct call with a longer thread reads its opening
+    const input = excerpt(threadContent.text, this.maxInputChars);
+
+    const quota = [];
+    for (const model of this.modelsFor(this.summaryModels, options.language)) {
+      const breaker = breakerFor(`${this.name}:${model}`);
+      if (!breaker.isAvailable()) {
+        this.log.debug('Skipping model: circuit open', { model });
+        quota.push(breaker.quotaExhaustedUntil > Date.now());
+        continue;
+      }
+
+      try {
+        this.log.debug('Trying summary model', { model });
+
+        let response;
+
+        if (model.includes('t5')) {
+          // For T5 models, use text-to-text format
+          response = await breaker.run(() => callWithTimeout(async signal => {
+            return await this.hf.textGeneration({
+              model: model,
+              inputs: `summarize: ${input}`,
+              parameters: {
+                max_new_tokens: 200,
+                temperature: 0.7,
+                top_p: 0.9,
+                repetition_penalty: 1.2
+              }
+            }, { signal });
+          }, 25000, options.signal)); // 25 second timeout
+        } else {
+          // For BART models, use summarization task
+          response = await breaker.run(() => callWithTimeout(async signal => {
+            return await this.hf.summarization({
+              model: model,
+              inputs: input,
+              parameters: {
+                max_length: 150,
+                min_length: 50,
+                do_sample: false
+              }
+            }, { signal });
+          }, 30000, options.signal)); // 30 second timeout
         }
-      });
 
-      console.log('✅ Hugging Face summary response:', response);
-      
-      // Parse the response
-      return this.parseSummaryResponse(response.generated_text);
-    } catch (error) {
-      console.error('💥 Hugging Face summarization error:', error);
-      
-      // Fallback to basic summary if HF fails
-      throw new Error(`Hugging Face API error: ${error.message}`);
+        // Convert to our format
+        const summaryText = response.generated_text || response.summary_text || '';
+        this.log.debug('Summary generated', { model, summary: summaryText });
+
+        return { ...this.convertHFSummaryToOurFormat(summaryText), models: [model] };
+
+      } catch (modelError) {
+        if (modelError.cancelled) throw modelError;
+        this.log.warn('Summary model failed', { model, error: modelError });
+        quota.push(isQuotaError(modelError));
+        continue;
+      }
+    }
+
+    throw allModelsFailed('All recommended Hugging Face models failed or have open circuits', quota);
+  }
+
+  async reply(threadContent, summary, options = {}) {
+    this.log.debug('Generating replies');
+
+    if (!this.hf) {
+      throw new Error('Hugging Face service not initialized');
+    }
+
+    // These models only write one reply per call, so variants are generated one by one
+    const plan = planReplies(options);
+    const variants = [];
+    for (const tone of plan.tones) {
+      const { text, model } = await this.generateReplyText(threadContent, summary, tone, plan.maxChars, options);
+      variants.push({ text: fitLength(text, plan.maxChars), tone, model });
     }
+    return variants;
   }
 
-  async generateReply(threadContent, summary) {
-    try {
-      console.log('🤖 Calling Hugging Face for reply generation...');
-      
-      const prompt = `Generate a human-like response to this social media thread:
-      
-Thread content: ${threadContent.text.substring(0, 500)}
+  // One reply in the given tone from the first model that answers: { text, model }
+  async generateReplyText(threadContent, summary, tone, maxChars, options = {}) {
+    const quota = [];
+    for (const model of this.modelsFor(this.replyModels, options.language)) {
+      const breaker = breakerFor(`${this.name}:${model}`);
+      if (!breaker.isAvailable()) {
+        this.log.debug('Skipping model: circuit open', { model });
+        quota.push(breaker.quotaExhaustedUntil > Date.now());
+        continue;
+      }
+
+      try {
+        this.log.debug('Trying reply model', { model, tone });
+
+        const prompt = `Generate a human-like response to this social media thread:
+
+Thread content: ${excerpt(threadContent.text, this.maxInputChars)}
 Summary key points: ${summary.keyPoints.slice(0, 2).join(', ')}
 
-Generate only a concise, natural response (1-2 sentences):`;
+Tone: ${TONES[tone]}
+Generate only a concise, natural response (at most ${maxChars} characters):`;
 
-      const response = await this.inference.textGeneration({
-        model: 'google/flan-t5-base',
-        inputs: prompt,
-        parameters: {
-          max_new_tokens: 100,
-          temperature: 0.8,
-          top_p: 0.9
-        }
-      });
+        const response = await breaker.run(() => callWithTimeout(async signal => {
+          return await this.hf.textGeneration({
+            model: model,
+            inputs: prompt,
+            parameters: {
+              max_new_tokens: 100,
+              temperature: 0.8,
+              top_p: 0.9,
+              repetition_penalty: 1.2
+            }
+          }, { signal });
+        }, 20000, options.signal)); // 20 second timeout
+
+        this.log.debug('Reply generated', { model, reply: response.generated_text });
+
+        return { text: response.generated_text.trim(), model };
 
-      console.log('✅ Hugging Face reply response:', response);
-      
-      return response.generated_text.trim();
-    } catch (error) {
-      console.error('💥 Hugging Face reply error:', error);
-      throw new Error(`Hugging Face API error: ${error.message}`);
+      } catch (modelError) {
+        if (modelError.cancelled) throw modelError;
+        this.log.warn('Reply model failed', { model, error: modelError });
+        quota.push(isQuotaError(modelError));
+        continue;
+      }
     }
+
+    throw allModelsFailed('All Hugging Face reply models failed or have open circuits', quota);
+  }
+
+  async health() {
+    return {
+      name: this.name,
+      configured: this.isConfigured(),
+      // Current order of preference, with each model's circuit
+      summaryModels: this.rankModels(this.summaryModels).map(model => this.modelHealth(model)),
+      replyModels: this.rankModels(this.replyModels).map(model => this.modelHealth(model))
+    };
   }
 
-  parseSummaryResponse(aiResponse) {
-    console.log('🔍 Parsing Hugging Face response:', aiResponse.substring(0, 100) + '...');
-    
-    const lines = aiResponse.split('\n').filter(line => line.trim());
-    
+  // Cheap liveness check for deep health probes: validates the token, runs no model
+  async probe(signal) {
+    await callWithTimeout(async callSignal => {
+      const response = await fetch('https://huggingface.co/api/whoami-v2', {
+        headers: { 'Authorization': `Bearer ${this.HF_TOKEN}` },
+        signal: callSignal
+      });
+      if (!response.ok) {
+        throw new Error(`Hugging Face API error [${response.status}]`);
+      }
+    }, 5000, signal);
+  }
+
+  modelHealth(model) {
+    const circuit = breakerSnapshot(`${this.name}:${model}`);
+    if (!circuit) return { model, state: 'closed', calls: 0 };
+    const { state, calls, errorRate, avgLatencyMs, lastError } = circuit;
+    return { model, state, calls, errorRate, avgLatencyMs, lastError };
+  }
+
+  // Convert Hugging Face summary to our format
+  convertHFSummaryToOurFormat(hfSummary) {
+    if (!hfSummary || hfSummary.trim().length === 0) {
+      return {
+        keyPoints: ["AI-generated summary"],
+        quotes: ["Key insights from content"],
+        sentiment: "neutral",
+        parseMode: 'sentences'
+      };
+    }
+
+    const text = hfSummary.trim();
+    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 10);
+
     const keyPoints = [];
     const quotes = [];
-    let sentiment = "neutral";
-    let timeToRead = 1;
-
-    let currentSection = '';
-    lines.forEach(line => {
-      const lowerLine = line.toLowerCase();
-      
-      if (lowerLine.includes('key points') || lowerLine.includes('main points')) {
-        currentSection = 'points';
-      } else if (lowerLine.includes('notable quotes') || lowerLine.includes('quotes')) {
-        currentSection = 'quotes';
-      } else if (lowerLine.includes('sentiment')) {
-        sentiment = lowerLine.includes('positive') ? 'positive' : 
-                   lowerLine.includes('negative') ? 'negative' : 'neutral';
-      } else if (lowerLine.includes('reading time')) {
-        const timeMatch = line.match(/(\d+)/);
-        if (timeMatch) timeToRead = parseInt(timeMatch[1]);
-      } else if (line.trim().startsWith('-') || line.trim().startsWith('*') || line.trim().match(/^\d+\./)) {
-        const cleanLine = line.replace(/^[-*\d.]+\s*/, '').trim();
-        if (currentSection === 'points' && cleanLine) {
-          if (keyPoints.length < 3) {
-            keyPoints.push(cleanLine.substring(0, 100));
-          }
-        } else if (currentSection === 'quotes' && cleanLine) {
-          if (quotes.length < 2) {
-            quotes.push(cleanLine.replace(/[""]/g, '').substring(0, 80));
-          }
-        }
-      }
-    });
-
-    // Fallback parsing if structured parsing didn't work
-    if (keyPoints.length === 0 && quotes.length === 0) {
-      console.log('⚠️ Using fallback parsing for Hugging Face response');
-      const cleanLines = lines.filter(line => line.length > 20 && line.length < 150);
-      for (let i = 0; i < Math.min(3, cleanLines.length); i++) {
-        if (keyPoints.length < 2) {
-          keyPoints.push(cleanLines[i].substring(0, 100));
-        } else if (quotes.length < 2) {
-          quotes.push(cleanLines[i].substring(0, 80));
-        }
+
+    // Extract key points and quotes from sentences
+    for (let i = 0; i < Math.min(3, sentences.length); i++) {
+      const sentence = sentences[i].trim();
+      if (i < 2) {
+        keyPoints.push(sentence.substring(0, 100) + (sentence.length > 100 ? '...' : ''));
+      } else if (quotes.length < 2) {
+        quotes.push(sentence.substring(0, 80) + (sentence.length > 80 ? '...' : ''));
       }
     }
 
+    // Fill in if needed
+    if (keyPoints.length === 0) {
+      keyPoints.push("Main discussion points from the thread");
+    }
+
+    if (quotes.length === 0 && sentences.length > 0) {
+      quotes.push(sentences[0].substring(0, 80) + '...');
+    }
+
     return {
-      keyPoints: keyPoints.length > 0 ? keyPoints.slice(0, 3) : ["Key insights from the thread"],
-      quotes: quotes.length > 0 ? quotes.slice(0, 2) : ["Notable statements from the discussion"],
-      sentiment: sentiment,
-      wordCount: 0,
-      timeToRead: timeToRead || Math.max(1, Math.floor(lines.length / 50))
+      keyPoints: keyPoints.length > 0 ? keyPoints.slice(0, 3) : ["Main discussion points"],
+      quotes: quotes.length > 0 ? quotes.slice(0, 2) : ["Key statement from thread"],
+      sentiment: "neutral",
+      parseMode: 'sentences'
     };
   }
 }
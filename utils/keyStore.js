@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { logger } = require('./logger');
+
+// API keys issued to extension installs, kept in a local JSON file.
+// Only a SHA-256 hash of each key is stored; the plain key is shown once, when it's created.
+class KeyStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.keys = new Map();
+    this.byHash = new Map();
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (data.keys || []).forEach(record => this.add(record));
+      logger.info('Loaded API keys', { keys: this.keys.size, file: this.filePath });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Could not read API key store', { file: this.filePath, error });
+      }
+    }
+  }
+
+  add(record) {
+    this.keys.set(record.id, record);
+    this.byHash.set(record.hash, record);
+  }
+
+  // Usage counters change on every request, so writes are batched
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveNow();
+    }, 1000);
+    this.saveTimer.unref();
+  }
+
+  saveNow() {
+    const payload = JSON.stringify({ keys: Array.from(this.keys.values()) }, null, 2);
+    const tmpPath = `${this.filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // Write-then-rename so a crash never leaves a half-written file
+      fs.writeFileSync(tmpPath, payload, { mode: 0o600 });
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error('Could not write API key store', { file: this.filePath, error });
+    }
+  }
+
+  create({ name, tier = 'free', dailyQuota = null }) {
+    const key = `tsk_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name: name || 'unnamed',
+      prefix: key.substring(0, 12),
+      hash: hashKey(key),
+      tier,
+      dailyQuota,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      lastUsedAt: null,
+      usage: {}
+    };
+    this.add(record);
+    this.saveNow();
+    return { key, record: publicRecord(record) };
+  }
+
+  revoke(id) {
+    const record = this.keys.get(id);
+    if (!record) return null;
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.saveNow();
+    }
+    return publicRecord(record);
+  }
+
+  // Active record for a presented key, or null
+  verify(key) {
+    if (typeof key !== 'string' || !key) return null;
+    const record = this.byHash.get(hashKey(key));
+    return record && !record.revokedAt ? record : null;
+  }
+
+  get(id) {
+    const record = this.keys.get(id);
+    return record ? publicRecord(record) : null;
+  }
+
+  list() {
+    return Array.from(this.keys.values()).map(publicRecord);
+  }
+
+  // Requests made today (UTC) across all routes
+  usedToday(record) {
+    const today = record.usage[utcDate()] || {};
+    return Object.values(today).reduce((total, count) => total + count, 0);
+  }
+
+  dailyQuota(record) {
+    if (Number.isInteger(record.dailyQuota)) return record.dailyQuota;
+    const tier = config.auth.tiers[record.tier] || config.auth.tiers.free;
+    return tier.dailyQuota;
+  }
+
+  recordUsage(record, route) {
+    const date = utcDate();
+    record.usage[date] = record.usage[date] || {};
+    record.usage[date][route] = (record.usage[date][route] || 0) + 1;
+    record.lastUsedAt = new Date().toISOString();
+
+    // Keep the file small: only the most recent days
+    const days = Object.keys(record.usage).sort();
+    days.slice(0, Math.max(0, days.length - config.auth.usageHistoryDays)).forEach(day => {
+      delete record.usage[day];
+    });
+
+    this.scheduleSave();
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function utcDate(date = new Date()) {
+  return date.toISOString().substring(0, 10);
+}
+
+// Everything except the hash
+function publicRecord(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+module.exports = new KeyStore(config.auth.keysFile);
@@ -0,0 +1,85 @@
+// Input language detection, done locally, and the output language for summaries and replies.
+// The script decides most languages outright; Latin and Cyrillic text is told apart by how often
+// each language's most common short words occur. Good enough to route a thread and pick templates,
+// not a general-purpose identifier: anything unclear is "und" (undetermined).
+const config = require('../config');
+const { detectScript } = require('./textStats');
+
+// Languages accepted in targetLanguage, with the names used in prompts
+const LANGUAGE_NAMES = {
+  en: 'English', es: 'Spanish', fr: 'French', de: 'German', pt: 'Portuguese', it: 'Italian',
+  nl: 'Dutch', pl: 'Polish', sv: 'Swedish', da: 'Danish', no: 'Norwegian', fi: 'Finnish',
+  tr: 'Turkish', ru: 'Russian', uk: 'Ukrainian', el: 'Greek', ar: 'Arabic', he: 'Hebrew',
+  fa: 'Persian', hi: 'Hindi', th: 'Thai', vi: 'Vietnamese', id: 'Indonesian', zh: 'Chinese',
+  ja: 'Japanese', ko: 'Korean'
+};
+
+const BY_SCRIPT = { han: 'zh', kana: 'ja', hangul: 'ko', thai: 'th', greek: 'el', hebrew: 'he', arabic: 'ar', devanagari: 'hi' };
+
+// Frequent function words that set a language apart; shared words (de, la, e) count for each
+const STOPWORDS = {
+  en: 'the and is are was of to in that it for with this have you not but on be they what my just would',
+  es: 'el la los las de que y en es por para con una un del se no lo pero más como está muy también yo',
+  fr: 'le la les de des et est un une que qui pas pour dans sur avec ce il je vous mais du au très ça',
+  de: 'der die das und ist nicht ich ein eine zu mit auf den es sie wir sich auch für von dem aber wie noch',
+  pt: 'o a os as de que e do da em um uma não para com é mais por mas como isso muito também você eu',
+  it: 'il lo la gli le di che e è un una per non con sono del della ma anche questo mi ho molto più come',
+  nl: 'de het een en van is dat niet ik je op te met zijn voor maar ook er wat die dit heb nog wel zo',
+  ru: 'и в не на что я с он как это по но из у за от так же все она мы вы для уже',
+  uk: 'і в не на що я з він як це по але із у за від так та все вона ми ви для вже'
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words.split(' '))]));
+
+// Words looked at; the opening of a long thread says enough
+const SAMPLE_CHARS = 5000;
+// Fewer stopword hits than this and the text is too short to tell
+const MIN_HITS = 3;
+
+// { language, confidence } for `text`; confidence in [0, 1]
+function detectLanguage(text) {
+  const sample = (text || '').substring(0, SAMPLE_CHARS);
+  const script = detectScript(sample);
+
+  if (BY_SCRIPT[script]) return { language: BY_SCRIPT[script], confidence: 1 };
+  if (script !== 'latin' && script !== 'cyrillic') return { language: 'und', confidence: 0 };
+
+  const candidates = script === 'cyrillic' ? ['ru', 'uk'] : ['en', 'es', 'fr', 'de', 'pt', 'it', 'nl'];
+  const words = sample.toLowerCase().match(/[\p{L}']+/gu) || [];
+  const hits = Object.fromEntries(candidates.map(code => [code, 0]));
+  words.forEach(word => {
+    candidates.forEach(code => {
+      if (STOPWORD_SETS[code].has(word)) hits[code]++;
+    });
+  });
+  // Letters only Ukrainian uses settle ru/uk
+  if (script === 'cyrillic' && /[іїєґ]/u.test(sample)) hits.uk += MIN_HITS;
+
+  const ranked = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+  const [best, bestHits] = ranked[0];
+  if (bestHits < MIN_HITS) return { language: 'und', confidence: 0 };
+
+  // How far ahead of the runner-up the winner is
+  const confidence = (bestHits - ranked[1][1]) / bestHits;
+  return { language: best, confidence: Math.round(confidence * 100) / 100 };
+}
+
+// Languages for one request: { detected, confidence, target }. targetLanguage "auto" (or none,
+// with the default LANGUAGE_TARGET=auto) answers in the thread's language, or the fallback when
+// that couldn't be told.
+function resolveLanguage(text, targetLanguage) {
+  const { language: detected, confidence } = detectLanguage(text);
+  const requested = targetLanguage || config.language.target;
+  const target = requested !== 'auto' ? requested : detected !== 'und' ? detected : config.language.fallback;
+  return { detected, confidence, target };
+}
+
+// English in and out: the prompts and models work as they always did
+const isEnglish = language => !language || (language.target === 'en' && ['en', 'und'].includes(language.detected));
+
+// Whether the answer has to be in another language than the thread (a model that only
+// summarizes or continues text can't do that)
+const needsTranslation = language => Boolean(language) && language.detected !== 'und' && language.detected !== language.target;
+
+const languageName = code => LANGUAGE_NAMES[code] || code;
+
+module.exports = { LANGUAGE_NAMES, detectLanguage, resolveLanguage, isEnglish, needsTranslation, languageName };
@@ -0,0 +1,98 @@
+module.exports = {
+  code: 'de',
+
+  tones: {
+    supportive: [
+      "Stimme voll zu, gut gesagt!",
+      "Sehr guter Punkt. Danke, dass du das in Worte fasst.",
+      "Schön, dass das Thema diskutiert wird. Volle Unterstützung.",
+      "Könnte nicht mehr zustimmen. Danke fürs Teilen."
+    ],
+    skeptical: [
+      "Interessant, aber noch nicht ganz überzeugend. Gibt es Daten dazu?",
+      "Ich wäre vorsichtig mit Schlussfolgerungen. Es gibt auch eine andere Seite.",
+      "Nicht sicher, ob das in jedem Fall gilt. Was haben andere erlebt?",
+      "Klingt in der Theorie gut, aber ich würde gern sehen, wie es in der Praxis läuft."
+    ],
+    question: [
+      "Wie bist du zu diesem Schluss gekommen?",
+      "Wie würde das in einem kleineren Rahmen funktionieren?",
+      "Hat das jemand langfristig ausprobiert? Wie lief es?",
+      "Was würdest du anders machen, wenn du neu anfangen würdest?"
+    ],
+    humorous: [
+      "Ich speichere den Thread, damit ich so tun kann, als hätte ich das immer gewusst.",
+      "Meine To-do-Liste ist gerade länger geworden, vielen Dank!",
+      "Ich lese das statt zu arbeiten, ist ja quasi Recherche.",
+      "Dieser Thread hat mehr Wendungen als mein Wochenende."
+    ],
+    professional: [
+      "Danke für die klare Zusammenfassung der wichtigsten Punkte.",
+      "Ein hilfreicher Überblick. Diese Punkte sollte man bei der Planung berücksichtigen.",
+      "Gut strukturierte Analyse. Danke für die Details.",
+      "Hilfreicher Kontext für alle, die sich mit dem Thema befassen."
+    ]
+  },
+
+  followUps: {
+    match: point => `Vor allem der Punkt: ${point}.`,
+    supportive: point => `Vor allem der Punkt: ${point}.`,
+    skeptical: point => `Ob „${point}“ wirklich stimmt, bezweifle ich allerdings.`,
+    question: point => `Wie passt das zu dem Punkt: ${point}?`,
+    humorous: point => `Und „${point}“ kommt an meinen Kühlschrank.`,
+    professional: point => `Die wichtigste Erkenntnis: ${point}.`
+  },
+
+  match: {
+    positiveKeywords: ['danke', 'super', 'toll', 'großartig', 'genial', 'klasse', 'hervorragend'],
+    questionKeywords: ['?', 'wie', 'was', 'warum', 'wann', 'wo', 'weiß jemand'],
+    positive: [
+      "Tolle Einblicke! Danke, dass du das so aufgeschlüsselt hast.",
+      "Wirklich hilfreiche Infos. Danke für die ausführliche Erklärung.",
+      "Interessante Sichtweise. Heute wieder was gelernt!",
+      "Danke fürs Teilen. Sehr informativer Thread.",
+      "Das bringt die Diskussion wirklich weiter. Gut formuliert!"
+    ],
+    question: [
+      "Gute Frage! So sehe ich das...",
+      "Interessanter Punkt. Meiner Erfahrung nach...",
+      "Darüber habe ich auch nachgedacht. Das habe ich herausgefunden...",
+      "Danke für die Frage. Meine Sicht darauf..."
+    ],
+    neutral: [
+      "Danke fürs Teilen!",
+      "Wirklich hilfreiche Infos.",
+      "Interessante Sichtweise, wieder was gelernt!",
+      "Danke für die ausführliche Erklärung.",
+      "Das bringt die Diskussion weiter."
+    ],
+    fallback: [
+      "Tolle Einblicke!",
+      "Wirklich hilfreiche Infos.",
+      "Interessante Sichtweise auf das Thema.",
+      "Danke für die Gedanken.",
+      "Das bringt die Diskussion weiter."
+    ],
+    empty: ["Danke fürs Teilen!"]
+  },
+
+  summary: {
+    noContent: { keyPoint: "Kein Inhalt zum Zusammenfassen gefunden", quote: "Keine Zitate verfügbar" },
+    fallback: { keyPoint: "Wichtigste Punkte der Diskussion", quote: "Zentrale Aussage der Diskussion" }
+  },
+
+  sentiment: {
+    lexicon: {
+      gut: 2, super: 2, toll: 3, großartig: 3, genial: 3, klasse: 2, hervorragend: 3, perfekt: 3, liebe: 3,
+      mag: 1, hilfreich: 2, nützlich: 2, danke: 2, besser: 2, beste: 3, einfach: 1, schnell: 1, empfehle: 2,
+      interessant: 1, froh: 2, zufrieden: 2, zustimmen: 1, erfolg: 2, funktioniert: 1, schön: 2,
+      schlecht: -2, schrecklich: -3, furchtbar: -3, schlimmer: -2, hasse: -3, traurig: -2, wütend: -3,
+      nervig: -2, kaputt: -2, fehler: -1, bug: -1, absturz: -2, stürzt: -2, langsam: -1, problem: -1,
+      probleme: -1, nutzlos: -3, betrug: -3, enttäuschend: -2, enttäuscht: -2, verwirrend: -1, teuer: -1,
+      besorgt: -2, leider: -1, mist: -3, schmerzhaft: -2
+    },
+    negators: ['nicht', 'kein', 'keine', 'keinen', 'nie', 'niemals', 'nichts', 'ohne', 'weder'],
+    agree: ['stimme zu', 'genau', 'richtig', 'gut gesagt', 'du hast recht', 'sehe ich auch so', 'ja', 'absolut'],
+    disagree: ['stimme nicht zu', 'sehe ich anders', 'stimmt nicht', 'falsch', 'auf keinen fall', 'bezweifle', 'eigentlich,']
+  }
+};
@@ -0,0 +1,85 @@
+const lowerFirst = text => text.charAt(0).toLowerCase() + text.slice(1);
+
+module.exports = {
+  code: 'en',
+
+  tones: {
+    supportive: [
+      "Totally agree with this, well said!",
+      "This is a great take. Thanks for putting it into words.",
+      "Love seeing this discussed. Fully behind it.",
+      "Couldn't agree more. Really appreciate you sharing this."
+    ],
+    skeptical: [
+      "Interesting, but I'm not fully convinced yet. Is there data behind this?",
+      "I'd be careful drawing conclusions here. There's another side to this.",
+      "Not sure this holds up in every case. Curious what others have seen.",
+      "Sounds good in theory, but I'd want to see how it plays out in practice."
+    ],
+    question: [
+      "What made you land on this conclusion?",
+      "How would this work in a smaller setup?",
+      "Has anyone tried this long-term? Curious how it went.",
+      "What would you do differently if you started over?"
+    ],
+    humorous: [
+      "Saving this thread so I can pretend I knew this all along.",
+      "My to-do list just got longer, thanks a lot!",
+      "Reading this instead of working, which is basically research.",
+      "This thread has more plot twists than my weekend."
+    ],
+    professional: [
+      "Thank you for the clear summary of the key considerations.",
+      "A useful overview. These points are worth factoring into planning.",
+      "Well structured analysis. Appreciate the detail provided.",
+      "Helpful context for anyone evaluating this topic."
+    ]
+  },
+
+  followUps: {
+    match: point => `Especially the point that ${lowerFirst(point)}.`,
+    supportive: point => `Especially the point that ${lowerFirst(point)}.`,
+    skeptical: point => `I'm not sure the claim that ${lowerFirst(point)} holds up, though.`,
+    question: point => `How does that fit with the point that ${lowerFirst(point)}?`,
+    humorous: point => `Also, "${point}" is going on my fridge.`,
+    professional: point => `The key takeaway: ${lowerFirst(point)}.`
+  },
+
+  match: {
+    positiveKeywords: ['thanks', 'great', 'amazing', 'awesome', 'love', 'excellent', 'fantastic'],
+    questionKeywords: ['?', 'how', 'what', 'why', 'when', 'where', 'can you'],
+    positive: [
+      "Great insights shared here! Thanks for breaking this down.",
+      "This is really helpful information. Appreciate the detailed explanation.",
+      "Interesting perspective on this topic. Learned something new today!",
+      "Thanks for sharing these thoughts. Very informative thread.",
+      "This adds a lot of value to the conversation. Well articulated!"
+    ],
+    question: [
+      "Good question! Here's my take on this...",
+      "That's an interesting point. From my experience...",
+      "I've been thinking about this too. Here's what I found...",
+      "Thanks for raising this question. My perspective is..."
+    ],
+    neutral: [
+      "Thanks for sharing these insights!",
+      "This is really helpful information.",
+      "Interesting perspective, learned something new!",
+      "Appreciate the detailed explanation.",
+      "This adds value to the conversation."
+    ],
+    fallback: [
+      "Great insights shared here!",
+      "This is really helpful information.",
+      "Interesting perspective on this topic.",
+      "Thanks for sharing these thoughts.",
+      "This adds value to the conversation."
+    ],
+    empty: ["Thanks for sharing this!"]
+  },
+
+  summary: {
+    noContent: { keyPoint: "No content found to summarize", quote: "No quotes available" },
+    fallback: { keyPoint: "Main discussion points from thread", quote: "Key statement from discussion" }
+  }
+};
@@ -0,0 +1,100 @@
+const lowerFirst = text => text.charAt(0).toLowerCase() + text.slice(1);
+
+module.exports = {
+  code: 'es',
+
+  tones: {
+    supportive: [
+      "Totalmente de acuerdo, ¡muy bien dicho!",
+      "Muy buen enfoque. Gracias por ponerlo en palabras.",
+      "Me encanta que se hable de esto. Lo apoyo totalmente.",
+      "No podría estar más de acuerdo. Gracias por compartirlo."
+    ],
+    skeptical: [
+      "Interesante, pero todavía no me convence. ¿Hay datos que lo respalden?",
+      "Yo tendría cuidado con sacar conclusiones. Hay otra cara de esto.",
+      "No sé si se cumple en todos los casos. ¿Qué han visto los demás?",
+      "Suena bien en teoría, pero quiero ver cómo funciona en la práctica."
+    ],
+    question: [
+      "¿Qué te llevó a esta conclusión?",
+      "¿Cómo funcionaría esto en un proyecto más pequeño?",
+      "¿Alguien lo ha probado a largo plazo? ¿Cómo les fue?",
+      "¿Qué harías diferente si empezaras de nuevo?"
+    ],
+    humorous: [
+      "Guardo este hilo para fingir que ya lo sabía todo.",
+      "Mi lista de pendientes acaba de crecer, ¡muchas gracias!",
+      "Leyendo esto en vez de trabajar, que básicamente es investigar.",
+      "Este hilo tiene más giros que mi fin de semana."
+    ],
+    professional: [
+      "Gracias por el resumen claro de los puntos clave.",
+      "Una visión útil. Vale la pena tener en cuenta estos puntos.",
+      "Un análisis bien estructurado. Se agradece el detalle.",
+      "Contexto útil para quien esté evaluando este tema."
+    ]
+  },
+
+  followUps: {
+    match: point => `Sobre todo lo de que ${lowerFirst(point)}.`,
+    supportive: point => `Sobre todo lo de que ${lowerFirst(point)}.`,
+    skeptical: point => `Aunque no estoy seguro de que ${lowerFirst(point)}.`,
+    question: point => `¿Cómo encaja eso con que ${lowerFirst(point)}?`,
+    humorous: point => `Y lo de "${point}" va directo a la nevera.`,
+    professional: point => `La conclusión principal: ${lowerFirst(point)}.`
+  },
+
+  match: {
+    positiveKeywords: ['gracias', 'genial', 'increíble', 'excelente', 'me encanta', 'fantástico', 'buenísimo'],
+    questionKeywords: ['?', '¿', 'cómo', 'qué', 'por qué', 'cuándo', 'dónde', 'alguien sabe'],
+    positive: [
+      "¡Muy buenas ideas! Gracias por explicarlo tan bien.",
+      "Información muy útil. Se agradece la explicación detallada.",
+      "Una perspectiva interesante. ¡Hoy aprendí algo nuevo!",
+      "Gracias por compartir estas ideas. Un hilo muy informativo.",
+      "Esto aporta mucho a la conversación. ¡Muy bien explicado!"
+    ],
+    question: [
+      "¡Buena pregunta! Te cuento cómo lo veo...",
+      "Es un punto interesante. Según mi experiencia...",
+      "Yo también lo he pensado. Esto es lo que encontré...",
+      "Gracias por plantear la pregunta. Mi punto de vista es..."
+    ],
+    neutral: [
+      "¡Gracias por compartir estas ideas!",
+      "Información muy útil.",
+      "Perspectiva interesante, ¡aprendí algo nuevo!",
+      "Se agradece la explicación detallada.",
+      "Esto aporta a la conversación."
+    ],
+    fallback: [
+      "¡Muy buenas ideas!",
+      "Información muy útil.",
+      "Una perspectiva interesante sobre el tema.",
+      "Gracias por compartir estas reflexiones.",
+      "Esto aporta a la conversación."
+    ],
+    empty: ["¡Gracias por compartirlo!"]
+  },
+
+  summary: {
+    noContent: { keyPoint: "No hay contenido para resumir", quote: "No hay citas disponibles" },
+    fallback: { keyPoint: "Puntos principales del hilo", quote: "Afirmación clave de la conversación" }
+  },
+
+  sentiment: {
+    lexicon: {
+      bueno: 2, buena: 2, buenísimo: 3, genial: 3, increíble: 3, excelente: 3, fantástico: 3, maravilloso: 3,
+      encanta: 3, gusta: 1, útil: 2, gracias: 2, mejor: 2, perfecto: 3, fácil: 1, rápido: 1, recomiendo: 2,
+      interesante: 1, feliz: 2, contento: 2, acuerdo: 1, éxito: 2, funciona: 1, bonito: 2,
+      malo: -2, mala: -2, terrible: -3, horrible: -3, peor: -2, odio: -3, triste: -2, enfadado: -3,
+      molesto: -2, roto: -2, error: -1, errores: -1, falla: -2, fallo: -2, lento: -1, problema: -1,
+      problemas: -1, inútil: -3, estafa: -3, decepcionante: -2, confuso: -1, caro: -1, preocupado: -2,
+      desgraciadamente: -1, desacuerdo: -1, basura: -3, doloroso: -2
+    },
+    negators: ['no', 'nunca', 'nada', 'ni', 'sin', 'tampoco', 'jamás'],
+    agree: ['de acuerdo', 'exacto', 'tal cual', 'muy cierto', 'tienes razón', 'sí', 'totalmente', 'bien dicho'],
+    disagree: ['no estoy de acuerdo', 'discrepo', 'no es cierto', 'falso', 'para nada', 'lo dudo', 'en realidad,']
+  }
+};
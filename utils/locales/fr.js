@@ -0,0 +1,100 @@
+const lowerFirst = text => text.charAt(0).toLowerCase() + text.slice(1);
+
+module.exports = {
+  code: 'fr',
+
+  tones: {
+    supportive: [
+      "Entièrement d'accord, bien dit !",
+      "Très bonne analyse. Merci de l'avoir formulé.",
+      "Content de voir ce sujet abordé. Je soutiens à fond.",
+      "Je ne pourrais pas être plus d'accord. Merci pour le partage."
+    ],
+    skeptical: [
+      "Intéressant, mais je ne suis pas encore convaincu. Il y a des données derrière ?",
+      "Je serais prudent avant de conclure. Il y a une autre facette.",
+      "Pas sûr que ça tienne dans tous les cas. Qu'en ont vu les autres ?",
+      "Ça semble bien en théorie, mais j'aimerais voir ce que ça donne en pratique."
+    ],
+    question: [
+      "Qu'est-ce qui t'a amené à cette conclusion ?",
+      "Comment ça marcherait à plus petite échelle ?",
+      "Quelqu'un l'a essayé sur la durée ? Comment ça s'est passé ?",
+      "Que ferais-tu différemment si c'était à refaire ?"
+    ],
+    humorous: [
+      "Je garde ce fil pour faire croire que je le savais depuis le début.",
+      "Ma liste de choses à faire vient de s'allonger, merci bien !",
+      "Je lis ça au lieu de travailler, c'est de la veille en fait.",
+      "Ce fil a plus de rebondissements que mon week-end."
+    ],
+    professional: [
+      "Merci pour cette synthèse claire des points essentiels.",
+      "Un aperçu utile. Ces points méritent d'être pris en compte.",
+      "Analyse bien structurée. Merci pour le niveau de détail.",
+      "Un contexte utile pour qui évalue ce sujet."
+    ]
+  },
+
+  followUps: {
+    match: point => `Surtout le fait que ${lowerFirst(point)}.`,
+    supportive: point => `Surtout le fait que ${lowerFirst(point)}.`,
+    skeptical: point => `Je ne suis pas sûr que l'idée « ${lowerFirst(point)} » tienne, par contre.`,
+    question: point => `Comment ça s'accorde avec le fait que ${lowerFirst(point)} ?`,
+    humorous: point => `Et « ${point} » va finir sur mon frigo.`,
+    professional: point => `Le point clé : ${lowerFirst(point)}.`
+  },
+
+  match: {
+    positiveKeywords: ['merci', 'génial', 'super', 'excellent', "j'adore", 'fantastique', 'top'],
+    questionKeywords: ['?', 'comment', 'pourquoi', 'quand', 'où', 'quel', 'quelle', 'est-ce que'],
+    positive: [
+      "Super idées ici ! Merci d'avoir tout détaillé.",
+      "Des infos vraiment utiles. Merci pour l'explication détaillée.",
+      "Point de vue intéressant. J'ai appris quelque chose aujourd'hui !",
+      "Merci pour le partage. Un fil très instructif.",
+      "Ça apporte beaucoup à la discussion. Bien expliqué !"
+    ],
+    question: [
+      "Bonne question ! Voici mon avis...",
+      "C'est un point intéressant. D'après mon expérience...",
+      "Je me suis posé la même question. Voici ce que j'ai trouvé...",
+      "Merci d'avoir soulevé la question. Mon point de vue..."
+    ],
+    neutral: [
+      "Merci pour le partage !",
+      "Des infos vraiment utiles.",
+      "Point de vue intéressant, j'ai appris quelque chose !",
+      "Merci pour l'explication détaillée.",
+      "Ça apporte à la discussion."
+    ],
+    fallback: [
+      "Super idées ici !",
+      "Des infos vraiment utiles.",
+      "Point de vue intéressant sur le sujet.",
+      "Merci pour ces réflexions.",
+      "Ça apporte à la discussion."
+    ],
+    empty: ["Merci pour le partage !"]
+  },
+
+  summary: {
+    noContent: { keyPoint: "Aucun contenu à résumer", quote: "Aucune citation disponible" },
+    fallback: { keyPoint: "Points principaux de la discussion", quote: "Déclaration clé de la discussion" }
+  },
+
+  sentiment: {
+    lexicon: {
+      bon: 2, bonne: 2, bien: 1, génial: 3, super: 2, excellent: 3, excellente: 3, fantastique: 3, parfait: 3,
+      adore: 3, aime: 2, utile: 2, merci: 2, meilleur: 2, mieux: 2, facile: 1, rapide: 1, recommande: 2,
+      intéressant: 1, content: 2, heureux: 2, accord: 1, réussi: 2, fonctionne: 1, marche: 1, beau: 2,
+      mauvais: -2, mauvaise: -2, terrible: -3, horrible: -3, pire: -2, déteste: -3, triste: -2, énervé: -2,
+      agaçant: -2, cassé: -2, bug: -1, bugs: -1, plante: -2, échec: -2, lent: -1, problème: -1,
+      problèmes: -1, inutile: -3, arnaque: -3, décevant: -2, déçu: -2, confus: -1, cher: -1, inquiet: -2,
+      malheureusement: -1, nul: -3, nulle: -3, pénible: -2
+    },
+    negators: ['ne', 'pas', 'jamais', 'rien', 'aucun', 'aucune', 'sans', 'ni'],
+    agree: ["d'accord", 'exactement', 'tout à fait', 'bien dit', 'tu as raison', 'vous avez raison', 'oui', 'clairement'],
+    disagree: ["pas d'accord", 'pas du tout', "c'est faux", 'faux', "j'en doute", 'pas convaincu', 'en fait,']
+  }
+};
@@ -0,0 +1,27 @@
+// Text for the local provider (utils/heuristic.js) in the languages it can answer in. Each module has:
+//   code
+//   tones: template replies per explicit tone, followUps: sentences that tie a reply to a key point
+//   match: reply pools for the "match" tone (positive, question, neutral, fallback, empty) and the
+//     keywords that pick one of them from the thread's opening line
+//   summary: placeholders for summaries with nothing to extract
+//   sentiment (optional): lexicon, negators, agree and disagree phrases for utils/sentiment.js;
+//     English uses the lists in that file
+const LOCALES = [
+  require('./en'),
+  require('./es'),
+  require('./fr'),
+  require('./de'),
+  require('./pt')
+];
+
+const byCode = new Map(LOCALES.map(locale => [locale.code, locale]));
+
+const hasLocale = code => byCode.has(code);
+
+// The first of `codes` we have text for, English otherwise
+function localeFor(...codes) {
+  const code = codes.find(hasLocale);
+  return byCode.get(code || 'en');
+}
+
+module.exports = { localeFor, hasLocale, LOCALE_CODES: Array.from(byCode.keys()) };
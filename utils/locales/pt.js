@@ -0,0 +1,100 @@
+const lowerFirst = text => text.charAt(0).toLowerCase() + text.slice(1);
+
+module.exports = {
+  code: 'pt',
+
+  tones: {
+    supportive: [
+      "Concordo totalmente, muito bem dito!",
+      "Ótima visão. Obrigado por colocar isso em palavras.",
+      "Adoro ver isso sendo discutido. Apoio totalmente.",
+      "Não poderia concordar mais. Obrigado por compartilhar."
+    ],
+    skeptical: [
+      "Interessante, mas ainda não estou convencido. Há dados por trás disso?",
+      "Eu teria cuidado ao tirar conclusões. Há outro lado nisso.",
+      "Não sei se isso vale para todos os casos. O que os outros viram?",
+      "Parece bom na teoria, mas quero ver como funciona na prática."
+    ],
+    question: [
+      "O que te levou a essa conclusão?",
+      "Como isso funcionaria em algo menor?",
+      "Alguém já testou isso a longo prazo? Como foi?",
+      "O que você faria diferente se começasse de novo?"
+    ],
+    humorous: [
+      "Salvando este fio para fingir que eu sempre soube disso.",
+      "Minha lista de tarefas acabou de crescer, muito obrigado!",
+      "Lendo isso em vez de trabalhar, o que é basicamente pesquisa.",
+      "Este fio tem mais reviravoltas que o meu fim de semana."
+    ],
+    professional: [
+      "Obrigado pelo resumo claro dos pontos principais.",
+      "Uma visão útil. Vale a pena considerar esses pontos.",
+      "Análise bem estruturada. Agradeço o nível de detalhe.",
+      "Contexto útil para quem está avaliando o tema."
+    ]
+  },
+
+  followUps: {
+    match: point => `Principalmente a parte de que ${lowerFirst(point)}.`,
+    supportive: point => `Principalmente a parte de que ${lowerFirst(point)}.`,
+    skeptical: point => `Mas não tenho certeza de que ${lowerFirst(point)}.`,
+    question: point => `Como isso se encaixa com o fato de que ${lowerFirst(point)}?`,
+    humorous: point => `E "${point}" vai direto para a porta da geladeira.`,
+    professional: point => `A principal conclusão: ${lowerFirst(point)}.`
+  },
+
+  match: {
+    positiveKeywords: ['obrigado', 'obrigada', 'ótimo', 'incrível', 'excelente', 'adoro', 'fantástico'],
+    questionKeywords: ['?', 'como', 'por que', 'porque', 'quando', 'onde', 'alguém sabe'],
+    positive: [
+      "Ótimas ideias aqui! Obrigado por explicar tudo.",
+      "Informação muito útil. Agradeço a explicação detalhada.",
+      "Perspectiva interessante. Aprendi algo novo hoje!",
+      "Obrigado por compartilhar. Um fio muito informativo.",
+      "Isso acrescenta muito à conversa. Muito bem explicado!"
+    ],
+    question: [
+      "Boa pergunta! Minha visão é esta...",
+      "Ponto interessante. Pela minha experiência...",
+      "Também pensei nisso. Foi isto que encontrei...",
+      "Obrigado por levantar a questão. Minha perspectiva é..."
+    ],
+    neutral: [
+      "Obrigado por compartilhar!",
+      "Informação muito útil.",
+      "Perspectiva interessante, aprendi algo novo!",
+      "Agradeço a explicação detalhada.",
+      "Isso acrescenta à conversa."
+    ],
+    fallback: [
+      "Ótimas ideias aqui!",
+      "Informação muito útil.",
+      "Perspectiva interessante sobre o tema.",
+      "Obrigado por compartilhar essas reflexões.",
+      "Isso acrescenta à conversa."
+    ],
+    empty: ["Obrigado por compartilhar!"]
+  },
+
+  summary: {
+    noContent: { keyPoint: "Nenhum conteúdo para resumir", quote: "Nenhuma citação disponível" },
+    fallback: { keyPoint: "Pontos principais da discussão", quote: "Afirmação principal da discussão" }
+  },
+
+  sentiment: {
+    lexicon: {
+      bom: 2, boa: 2, ótimo: 3, ótima: 3, incrível: 3, excelente: 3, fantástico: 3, perfeito: 3, adoro: 3,
+      gosto: 1, útil: 2, obrigado: 2, obrigada: 2, melhor: 2, fácil: 1, rápido: 1, recomendo: 2,
+      interessante: 1, feliz: 2, contente: 2, concordo: 1, sucesso: 2, funciona: 1, lindo: 2,
+      ruim: -2, péssimo: -3, terrível: -3, horrível: -3, pior: -2, odeio: -3, triste: -2, irritado: -2,
+      chato: -2, quebrado: -2, erro: -1, bug: -1, falha: -2, falhou: -2, lento: -1, problema: -1,
+      problemas: -1, inútil: -3, golpe: -3, decepcionante: -2, decepcionado: -2, confuso: -1, caro: -1,
+      preocupado: -2, infelizmente: -1, lixo: -3, doloroso: -2
+    },
+    negators: ['não', 'nunca', 'nada', 'nem', 'sem', 'jamais', 'nenhum', 'nenhuma'],
+    agree: ['concordo', 'exatamente', 'isso mesmo', 'bem dito', 'você tem razão', 'sim', 'com certeza', 'verdade'],
+    disagree: ['discordo', 'não concordo', 'não é verdade', 'errado', 'de jeito nenhum', 'duvido', 'na verdade,']
+  }
+};
@@ -0,0 +1,102 @@
+// Structured logging: one JSON object per line, tagged with the request being served.
+// The request ID is kept in async context, so provider calls made for a request (including
+// their retries, fallbacks and background cache upgrades) log it without passing it around.
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const requestContext = new AsyncLocalStorage();
+
+// Field names whose values are user content or model output
+const CONTENT_FIELDS = /^(text|texts|thread|threadContent|content|prompt|posts|summary|keyPoints|quotes|reply|replies|variants|output|response|body)$/i;
+// Field names whose values are credentials
+const SECRET_FIELDS = /^(key|apiKey|api_key|x-api-key|token|accessToken|adminToken|secret|password|authorization|cookie)$/i;
+// Credentials that end up inside strings, e.g. in an upstream error message
+const SECRET_PATTERNS = [
+  /\b(Bearer\s+)[\w.~+/=-]+/gi,
+  /\btsk_[\w-]{8,}/g,
+  /\bsk-[\w-]{8,}/g,
+  /\bhf_[\w]{8,}/g,
+  /\bAIza[\w-]{20,}/g,
+  /([?&](?:key|api_key|token)=)[^&\s]+/gi,
+  /(\/\/[^:/@\s]*:)[^@/\s]+(?=@)/g
+];
+
+function scrub(text) {
+  return SECRET_PATTERNS.reduce(
+    (result, pattern) => result.replace(pattern, (match, prefix) => (typeof prefix === 'string' ? `${prefix}[redacted]` : '[redacted]')),
+    text
+  );
+}
+
+function redactContent(value) {
+  if (typeof value === 'string') return `[redacted ${value.length} chars]`;
+  if (Array.isArray(value)) return `[redacted ${value.length} items]`;
+  return '[redacted]';
+}
+
+// Copy of `value` safe to write to the log
+function redact(value, redactText = config.logging.redact, depth = 0) {
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, status: value.status }, redactText, depth);
+  }
+  if (typeof value === 'string') return scrub(value);
+  if (!value || typeof value !== 'object') return value;
+  if (depth > 4) return '[truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, redactText, depth + 1));
+
+  const result = {};
+  Object.entries(value).forEach(([field, fieldValue]) => {
+    if (fieldValue === undefined) return;
+    if (SECRET_FIELDS.test(field) && typeof fieldValue !== 'number') {
+      result[field] = '[redacted]';
+    } else if (redactText && CONTENT_FIELDS.test(field)) {
+      result[field] = redactContent(fieldValue);
+    } else {
+      result[field] = redact(fieldValue, redactText, depth + 1);
+    }
+  });
+  return result;
+}
+
+class Logger {
+  constructor(fields = {}) {
+    this.fields = fields;
+    this.threshold = LEVELS[config.logging.level] || LEVELS.info;
+  }
+
+  // Logger that adds `fields` to every line
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields });
+  }
+
+  write(level, message, fields) {
+    if (LEVELS[level] < this.threshold) return;
+    const context = requestContext.getStore();
+    const line = {
+      time: new Date().toISOString(),
+      level,
+      msg: scrub(message),
+      ...(context ? { requestId: context.requestId } : {}),
+      ...redact({ ...this.fields, ...fields })
+    };
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(JSON.stringify(line) + '\n');
+  }
+
+  debug(message, fields) { this.write('debug', message, fields); }
+  info(message, fields) { this.write('info', message, fields); }
+  warn(message, fields) { this.write('warn', message, fields); }
+  error(message, fields) { this.write('error', message, fields); }
+}
+
+// Runs `fn` with `requestId` attached to everything it logs
+function withRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+function currentRequestId() {
+  const context = requestContext.getStore();
+  return context ? context.requestId : null;
+}
+
+module.exports = { logger: new Logger(), withRequestId, currentRequestId, redact };
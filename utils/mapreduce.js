@@ -0,0 +1,118 @@
+const config = require('../config');
+const { chunkText, spreadIndexes } = require('./chunker');
+const { chunkPosts } = require('./thread');
+const { throwIfCancelled } = require('./timeout');
+const { logger } = require('./logger');
+
+// Summarize a thread of any length with one provider: summarize chunks one by one (map),
+// then merge the partial summaries (reduce). maxModelCalls caps the summarize and merge steps
+// (a JSON repair retry inside a step isn't counted); when there are more chunks than the
+// budget allows, chunks are sampled evenly across the thread.
+async function summarizeLong(provider, threadContent, options = {}) {
+  const chunkSize = provider.maxInputChars || config.summary.chunkSize;
+  // Structured threads are chunked on post boundaries so each chunk keeps its authors
+  const chunks = threadContent.posts
+    ? chunkPosts(threadContent.posts, chunkSize)
+    : chunkText(threadContent.text, chunkSize).map(text => ({ text }));
+
+  if (chunks.length <= 1) {
+    const summary = await provider.summarize(threadContent, options);
+    return { ...summary, chunks: { total: chunks.length, processed: chunks.length } };
+  }
+
+  const maxModelCalls = Math.min(
+    options.maxModelCalls || config.summary.maxModelCalls,
+    config.summary.maxModelCalls
+  );
+  const canMerge = typeof provider.mergeSummaries === 'function';
+
+  // Local providers make no model calls, so they always see every chunk
+  const mapBudget = provider.local
+    ? chunks.length
+    : Math.max(1, maxModelCalls - (canMerge ? 1 : 0));
+  const selected = spreadIndexes(chunks.length, mapBudget);
+
+  logger.info('Map-reduce summary', { provider: provider.name, chunks: chunks.length, processing: selected.length });
+
+  const partials = [];
+  let lastError;
+  for (const index of selected) {
+    throwIfCancelled(options.signal);
+    try {
+      partials.push(await provider.summarize({ ...threadContent, ...chunks[index] }, options));
+    } catch (error) {
+      if (error.cancelled) throw error;
+      logger.warn('Chunk summary failed', { provider: provider.name, chunk: index + 1, chunks: chunks.length, error });
+      lastError = error;
+    }
+  }
+
+  if (partials.length === 0) {
+    throw lastError || new Error('No chunks could be summarized');
+  }
+
+  let summary;
+  if (partials.length > 1 && canMerge) {
+    try {
+      summary = await provider.mergeSummaries(partials, options);
+    } catch (error) {
+      if (error.cancelled) throw error;
+      logger.warn('Merge failed, merging locally', { provider: provider.name, error });
+    }
+  }
+  if (!summary) {
+    summary = mergeLocally(partials);
+  }
+
+  // Every model that contributed, when the provider reports them
+  const models = [...new Set([...partials, summary].flatMap(part => part.models || []))];
+
+  return {
+    ...summary,
+    ...(models.length > 0 ? { models } : {}),
+    chunks: {
+      total: chunks.length,
+      processed: partials.length,
+      skipped: chunks.length - selected.length,
+      failed: selected.length - partials.length
+    }
+  };
+}
+
+// Combine partial summaries without a model: take points round-robin so every section is represented
+function mergeLocally(partials) {
+  const pick = (field, limit) => {
+    const seen = new Set();
+    const picked = [];
+    const longest = Math.max(...partials.map(partial => partial[field].length));
+
+    for (let i = 0; i < longest && picked.length < limit; i++) {
+      for (const partial of partials) {
+        const item = partial[field][i];
+        const key = item && item.toLowerCase().replace(/\W+/g, ' ').trim();
+        if (item && key && !seen.has(key) && picked.length < limit) {
+          seen.add(key);
+          picked.push(item);
+        }
+      }
+    }
+    return picked;
+  };
+
+  // Majority vote, ties go to neutral
+  const votes = {};
+  partials.forEach(partial => {
+    votes[partial.sentiment] = (votes[partial.sentiment] || 0) + 1;
+  });
+  const ranked = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+  const sentiment = ranked.length > 1 && ranked[0][1] === ranked[1][1] ? 'neutral' : ranked[0][0];
+
+  return {
+    keyPoints: pick('keyPoints', 3),
+    quotes: pick('quotes', 2),
+    sentiment,
+    parseMode: 'merged'
+  };
+}
+
+module.exports = { summarizeLong, mergeLocally };
@@ -0,0 +1,129 @@
+// Minimal Prometheus metrics (text exposition format 0.0.4), no client library needed.
+// Counters and histograms are labelled; gauges are computed at scrape time.
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelString(labelNames, labels, extra = '') {
+  const parts = labelNames.map(name => `${name}="${escapeLabel(labels[name] === undefined ? '' : labels[name])}"`);
+  if (extra) parts.push(extra);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    Object.assign(this, { name, help, labelNames, type: 'counter' });
+    this.values = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelString(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  lines() {
+    return Array.from(this.values, ([labels, value]) => `${this.name}${labels} ${value}`);
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    Object.assign(this, { name, help, labelNames, buckets, type: 'histogram' });
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = JSON.stringify(this.labelNames.map(name => labels[name]));
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Observe the seconds elapsed since a Date.now() timestamp
+  observeSince(labels, startedMs) {
+    this.observe(labels, (Date.now() - startedMs) / 1000);
+  }
+
+  lines() {
+    const lines = [];
+    this.series.forEach(series => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${labelString(this.labelNames, series.labels, `le="${bound}"`)} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${labelString(this.labelNames, series.labels, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${this.name}_sum${labelString(this.labelNames, series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${labelString(this.labelNames, series.labels)} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+// collect() returns [{ labels, value }] when the endpoint is scraped. Also used for counters
+// that another module already keeps (type 'counter').
+class Gauge {
+  constructor(name, help, labelNames, collect, type = 'gauge') {
+    Object.assign(this, { name, help, labelNames, collect, type });
+  }
+
+  lines() {
+    return this.collect().map(({ labels = {}, value }) => `${this.name}${labelString(this.labelNames, labels)} ${value}`);
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this.add(new Counter(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  gauge(name, help, labelNames, collect, type) {
+    return this.add(new Gauge(name, help, labelNames, collect, type));
+  }
+
+  add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines()
+    ].join('\n')).join('\n') + '\n';
+  }
+}
+
+const registry = new MetricsRegistry();
+
+// Metrics recorded across the app; gauges that read other modules are registered where those live
+const metrics = {
+  registry,
+  httpRequests: registry.counter('http_requests_total', 'HTTP requests by route, method and status', ['route', 'method', 'status']),
+  httpDuration: registry.histogram('http_request_duration_seconds', 'HTTP request latency by route, method and status', ['route', 'method', 'status']),
+  providerRequests: registry.counter('provider_requests_total', 'Provider attempts per task, by outcome (success, failure, cancelled, circuit_open)', ['provider', 'task', 'outcome']),
+  providerDuration: registry.histogram('provider_request_duration_seconds', 'Provider attempt latency per task', ['provider', 'task']),
+  modelCalls: registry.counter('model_calls_total', 'Calls to individual models, by outcome', ['provider', 'model', 'outcome']),
+  modelDuration: registry.histogram('model_call_duration_seconds', 'Latency of individual model calls', ['provider', 'model']),
+  fallbacks: registry.counter('fallback_activations_total', 'Times a provider was passed over for the next one in the chain, by reason', ['task', 'provider', 'reason']),
+  cacheRequests: registry.counter('cache_requests_total', 'Response cache lookups by route and result (hit, miss)', ['route', 'result']),
+  rateLimitRejections: registry.counter('rate_limit_rejections_total', 'Requests rejected by the rate limiter', ['route', 'bucket', 'tier']),
+  quotaRejections: registry.counter('quota_rejections_total', 'Requests rejected because an API key used up its daily quota', ['route'])
+};
+
+module.exports = metrics;
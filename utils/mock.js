@@ -0,0 +1,111 @@
+const config = require('../config');
+const { mergeLocally } = require('./mapreduce');
+const { analyzeThread } = require('./sentiment');
+const { threadPlainText } = require('./thread');
+const { planReplies, fitLength } = require('./replies');
+const { createRandom, randomSeed } = require('./random');
+const { cancelledError } = require('./timeout');
+const { needsTranslation } = require('./language');
+
+// Offline provider for tests and local development (MOCK_PROVIDERS=true). Deterministic output built
+// from the thread itself, optional latency, and failures on demand, so fallbacks, circuit breakers
+// and cancellation can be exercised without API keys or network access.
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(cancelledError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError(signal.reason && signal.reason.message));
+    };
+    // Long-lived signals see many calls, so the listener goes once the wait is over
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function createMockProvider(name) {
+  const model = `mock-${name}`;
+
+  // Every call waits MOCK_LATENCY_MS, then fails if the provider is listed in MOCK_FAIL
+  async function call(signal) {
+    if (config.mock.latencyMs > 0) await sleep(config.mock.latencyMs, signal);
+    if (config.mock.fail.includes(name)) {
+      throw new Error(`${name} mock failure (MOCK_FAIL)`);
+    }
+  }
+
+  const sentences = threadContent => threadPlainText(threadContent)
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+  return {
+    name,
+    mock: true,
+    maxInputChars: config.summary.chunkSize,
+
+    isConfigured() {
+      return true;
+    },
+
+    // Routed like the real ones: Hugging Face models can't answer in another language than the thread's
+    supportsLanguage(language) {
+      return name !== 'huggingface' || !needsTranslation(language);
+    },
+
+    async summarize(threadContent, options = {}) {
+      await call(options.signal);
+      const found = sentences(threadContent);
+      return {
+        keyPoints: found.slice(0, 3).map(sentence => fitLength(sentence, 100)),
+        quotes: found.slice(0, 2).map(sentence => fitLength(sentence, 80)),
+        sentiment: 'neutral',
+        parseMode: 'mock',
+        models: [model]
+      };
+    },
+
+    async summarizeStream(threadContent, options, onDelta) {
+      const summary = await this.summarize(threadContent, options);
+      summary.keyPoints.forEach(point => onDelta(`- ${point}\n`));
+      return summary;
+    },
+
+    async mergeSummaries(partials, options = {}) {
+      await call(options.signal);
+      return { ...mergeLocally(partials), parseMode: 'mock', models: [model] };
+    },
+
+    async analyzeSentiment(threadContent, options = {}) {
+      await call(options.signal);
+      return analyzeThread(threadContent, options.language);
+    },
+
+    // Honours the seed like a model with seeded sampling: same seed, same replies
+    async reply(threadContent, summary, options = {}) {
+      await call(options.signal);
+      const plan = planReplies(options);
+      const random = createRandom(plan.seed !== undefined ? plan.seed : randomSeed());
+      const topic = (summary.keyPoints || [])[0] || 'this thread';
+      return plan.tones.map((tone, index) => ({
+        text: fitLength(`[${name} ${tone} #${index + 1} ${Math.floor(random() * 0x10000).toString(16)}] Re: ${topic}`, plan.maxChars),
+        tone,
+        model
+      }));
+    },
+
+    async probe(signal) {
+      await call(signal);
+    },
+
+    async health() {
+      return { name, configured: true, mock: true, model, failing: config.mock.fail.includes(name) };
+    }
+  };
+}
+
+module.exports = { createMockProvider };
@@ -1,118 +1,186 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const config = require('../config');
+const { callWithTimeout, withIdleTimeout, linkedController } = require('./timeout');
+const { breakerFor } = require('./circuitBreaker');
+const { logger } = require('./logger');
+const { replyPrompt, sentimentPrompt } = require('./prompts');
+const { analyzeWithModel } = require('./sentiment');
+const { planReplies, parseReplyVariants } = require('./replies');
+const { summarizeWithModel, mergeWithModel, streamSummaryWithModel } = require('./summarizer');
 
-class GeminiService {
+// OpenAI (or any OpenAI-compatible endpoint) over the Chat Completions REST API
+class OpenAIService {
   constructor() {
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({ 
-      model: process.env.GEMINI_MODEL || "gemini-pro" 
-    });
+    this.name = 'openai';
+    this.log = logger.child({ provider: this.name });
+    this.apiKey = config.openai.apiKey;
+    this.modelName = config.openai.model;
+    this.maxInputChars = config.summary.chunkSize;
+    this.baseUrl = config.openai.baseUrl.replace(/\/+$/, '');
+
+    if (!this.apiKey) {
+      this.log.warn('API key not found - provider disabled');
+    }
   }
 
-  async summarizeThread(threadContent) {
-    try {
-      const prompt = `Please analyze this thread and provide:
-1. 3-5 key points (concise, actionable insights)
-2. 2-3 notable quotes (most impactful statements)
-3. Overall sentiment (positive/negative/neutral)
-4. Estimated reading time in minutes
-
-Thread content: ${threadContent.text.substring(0, 3000)}`;
-
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-
-      return this.parseSummaryResponse(text);
-    } catch (error) {
-      if (error.message.includes('429')) {
-        throw new Error('API rate limit exceeded. Please try again later.');
-      }
-      throw new Error(`Gemini API error: ${error.message}`);
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async summarize(threadContent, options = {}) {
+    this.log.debug('Summarizing', { model: this.modelName });
+
+    const parsedResponse = await summarizeWithModel(this.generator(options.signal), threadContent, options);
+
+    this.log.debug('Summary parsed', { model: this.modelName, parseMode: parsedResponse.parseMode, keyPoints: parsedResponse.keyPoints });
+
+    return { ...parsedResponse, models: [this.modelName] };
+  }
+
+  async summarizeStream(threadContent, options, onDelta) {
+    this.log.debug('Streaming summary', { model: this.modelName });
+    const summary = await streamSummaryWithModel(prompt => this.streamChatAPI(prompt, { temperature: 0.3 }, options.signal), threadContent, onDelta, options);
+    return { ...summary, models: [this.modelName] };
+  }
+
+  async mergeSummaries(partials, options = {}) {
+    this.log.debug('Merging partial summaries', { model: this.modelName, partials: partials.length });
+    const summary = await mergeWithModel(this.generator(options.signal), partials, options);
+    return { ...summary, models: [this.modelName] };
+  }
+
+  async analyzeSentiment(threadContent, options = {}) {
+    this.log.debug('Analyzing sentiment', { model: this.modelName });
+    return analyzeWithModel(this.generator(options.signal), threadContent, sentimentPrompt);
+  }
+
+  async reply(threadContent, summary, options = {}) {
+    this.log.debug('Generating replies', { model: this.modelName });
+
+    const plan = planReplies(options);
+    const response = await this.callModel(
+      // OpenAI's sampling is best-effort deterministic for a given seed
+      signal => this.callChatAPI(replyPrompt(threadContent, summary, plan, options.language, this.maxInputChars), { temperature: 0.8, seed: plan.seed, response_format: { type: 'json_object' } }, signal),
+      20000, // 20 second timeout
+      options.signal
+    );
+
+    const variants = parseReplyVariants(response, plan);
+    if (variants.length === 0) {
+      throw new Error('OpenAI returned no usable replies');
     }
+
+    this.log.debug('Replies parsed', { model: this.modelName, variants });
+    return variants.map(variant => ({ ...variant, model: this.modelName }));
+  }
+
+  async health() {
+    return { name: this.name, configured: this.isConfigured(), model: this.modelName };
+  }
+
+  // Cheap liveness check for deep health probes: looks the model up, generates nothing
+  async probe(signal) {
+    await callWithTimeout(async callSignal => {
+      const response = await fetch(`${this.baseUrl}/models/${encodeURIComponent(this.modelName)}`, {
+        headers: { 'Authorization': `Bearer ${this.apiKey}` },
+        signal: callSignal
+      });
+      if (!response.ok) {
+        throw new Error(`OpenAI API error [${response.status}]`);
+      }
+    }, 5000, signal);
   }
 
-  async generateReply(threadContent, summary) {
+  // JSON mode maps onto the API's response_format so the model can't wrap it in prose
+  generator(signal) {
+    return (prompt, { json }) => this.callModel(
+      callSignal => this.callChatAPI(prompt, json
+        ? { temperature: 0.3, response_format: { type: 'json_object' } }
+        : { temperature: 0.3 }, callSignal),
+      30000, // 30 second timeout
+      signal
+    );
+  }
+
+  // Timed call through the model's circuit breaker, so timeouts count as failures too.
+  // operation(signal) gets a signal that aborts on timeout or when the client goes away.
+  callModel(operation, ms, signal) {
+    return breakerFor(`${this.name}:${this.modelName}`).run(() => callWithTimeout(operation, ms, signal));
+  }
+
+  async callChatAPI(prompt, parameters = {}, signal) {
+    const response = await this.postChat(prompt, parameters, signal);
+    const data = await response.json();
+    const content = data.choices && data.choices[0] && data.choices[0].message
+      ? data.choices[0].message.content
+      : '';
+    return (content || '').trim();
+  }
+
+  // Yields text deltas from the server-sent event stream; same timeouts as Gemini streaming
+  async *streamChatAPI(prompt, parameters = {}, signal) {
+    // The stream outlives the call that opens it, so it gets its own controller, aborted however streaming ends
+    const { controller, unlink } = linkedController(signal);
     try {
-      const prompt = `Generate a human-like response to this thread that:
-- Sounds natural and conversational
-- Adds value to the discussion
-- Matches the tone of the original content
-- Avoids AI-detection patterns
-- Is 1-2 sentences maximum
+      yield* this.readChatStream(
+        await this.callModel(() => this.postChat(prompt, { ...parameters, stream: true }, controller.signal), 30000, signal),
+        signal
+      );
+    } finally {
+      controller.abort();
+      unlink();
+    }
+  }
 
-Thread content: ${threadContent.text.substring(0, 2000)}
+  async *readChatStream(response, signal) {
+    const decoder = new TextDecoder();
+    let buffered = '';
 
-Summary of key points: ${summary.keyPoints.join(', ')}
+    for await (const bytes of withIdleTimeout(response.body, 15000, signal)) {
+      buffered += decoder.decode(bytes, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
 
-Generate only the response text, nothing else:`;
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !payload || payload === '[DONE]') continue;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      return response.text().trim();
-    } catch (error) {
-      if (error.message.includes('429')) {
-        throw new Error('API rate limit exceeded. Please try again later.');
+        const data = JSON.parse(payload);
+        const delta = data.choices && data.choices[0] && data.choices[0].delta;
+        if (delta && delta.content) yield delta.content;
       }
-      throw new Error(`Gemini API error: ${error.message}`);
     }
   }
 
-  parseSummaryResponse(aiResponse) {
-    const lines = aiResponse.split('\n').filter(line => line.trim());
-    
-    const keyPoints = [];
-    const quotes = [];
-    let sentiment = "neutral";
-    let timeToRead = 1;
-
-    let currentSection = '';
-    lines.forEach(line => {
-      const lowerLine = line.toLowerCase();
-      
-      if (lowerLine.includes('key points') || lowerLine.includes('main points')) {
-        currentSection = 'points';
-      } else if (lowerLine.includes('notable quotes') || lowerLine.includes('quotes')) {
-        currentSection = 'quotes';
-      } else if (lowerLine.includes('sentiment')) {
-        sentiment = lowerLine.includes('positive') ? 'positive' : 
-                   lowerLine.includes('negative') ? 'negative' : 'neutral';
-      } else if (lowerLine.includes('reading time')) {
-        const timeMatch = line.match(/(\d+)/);
-        if (timeMatch) timeToRead = parseInt(timeMatch[1]);
-      } else if (line.trim().startsWith('-') || line.trim().startsWith('*') || line.trim().match(/^\d+\./)) {
-        const cleanLine = line.replace(/^[-*\d.]+\s*/, '').trim();
-        if (currentSection === 'points' && cleanLine) {
-          keyPoints.push(cleanLine);
-        } else if (currentSection === 'quotes' && cleanLine) {
-          quotes.push(cleanLine.replace(/[""]/g, ''));
-        }
-      }
+  async postChat(prompt, parameters, signal) {
+    if (!this.apiKey) {
+      throw new Error('OpenAI service not initialized');
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({
+        model: this.modelName,
+        messages: [{ role: 'user', content: prompt }],
+        ...parameters
+      })
     });
 
-    // Fallback parsing if structured parsing didn't work
-    if (keyPoints.length === 0 && quotes.length === 0) {
-      lines.forEach(line => {
-        if (line.match(/^[\d*-]/) || line.length > 30) {
-          const cleanLine = line.replace(/^[\d*-.]+\s*/, '').trim();
-          if (cleanLine.length > 20) {
-            if (keyPoints.length < 3) {
-              keyPoints.push(cleanLine.substring(0, 150));
-            } else if (quotes.length < 2) {
-              quotes.push(cleanLine.substring(0, 100));
-            }
-          }
-        }
-      });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(`OpenAI API error [${response.status}]: ${detail.substring(0, 200)}`);
+      error.status = response.status;
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+      throw error;
     }
 
-    return {
-      keyPoints: keyPoints.length > 0 ? keyPoints.slice(0, 5) : ["Key insights from the thread"],
-      quotes: quotes.length > 0 ? quotes.slice(0, 3) : ["Notable statements from the discussion"],
-      sentiment: sentiment,
-      wordCount: 0,
-      timeToRead: timeToRead || Math.max(1, Math.floor(lines.length / 50))
-    };
+    return response;
   }
 }
 
-module.exports = new GeminiService();
\ No newline at end of file
+module.exports = new OpenAIService();
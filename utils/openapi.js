@@ -0,0 +1,178 @@
+// OpenAPI 3.1 description of the API, served at /api/openapi.json. Request and response bodies
+// come from utils/schemas.js, the same objects the routes validate against.
+const { version } = require('../package.json');
+const schemas = require('./schemas');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const problem = description => ({ description, content: { 'application/problem+json': { schema: ref('Problem') } } });
+const body = name => ({ required: true, content: { 'application/json': { schema: ref(name) } } });
+const query = (name, schema, description) => ({ name, in: 'query', required: false, schema, description });
+const anyObject = { type: 'object' };
+
+const invalid = problem('The body failed validation; errors lists each field');
+const rateLimited = problem('Rate limit or daily quota exceeded; see Retry-After');
+const failed = problem('The request could not be answered');
+
+// Routes behind an API key (optional unless REQUIRE_API_KEY is set)
+const withApiKey = operation => ({
+  security: [{ apiKey: [] }, { bearerApiKey: [] }, {}],
+  ...operation,
+  responses: { ...operation.responses, 400: invalid, 401: problem('Missing or invalid API key'), 429: rateLimited, 500: failed }
+});
+
+// Admin routes: 404 unless ADMIN_TOKEN is configured
+const admin = operation => ({
+  tags: ['admin'],
+  security: [{ adminToken: [] }],
+  ...operation,
+  responses: { ...operation.responses, 401: problem('Invalid admin token'), 404: problem('Admin API disabled, or no such resource') }
+});
+
+const cacheFilter = [
+  query('route', { type: 'string', enum: ['summarize', 'reply'] }, 'Only entries for this route'),
+  query('prefix', { type: 'string' }, 'Only keys starting with this prefix')
+];
+
+function buildDocument() {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Thread Summarizer API',
+      version,
+      description: 'Summaries and reply suggestions for social media threads. Errors are RFC 7807 problem details.'
+    },
+    paths: {
+      '/api/summarize': {
+        post: withApiKey({
+          summary: 'Summarize a thread',
+          requestBody: body('SummarizeRequest'),
+          responses: { 200: json('Summary, possibly from the cache', ref('SummarizeResponse')) }
+        })
+      },
+      '/api/summarize/stream': {
+        post: withApiKey({
+          summary: 'Summarize a thread, streaming model output as Server-Sent Events',
+          requestBody: body('SummarizeRequest'),
+          responses: {
+            200: {
+              description: 'Events: delta { provider, text }, fallback { from, to, reason }, then summary (as /api/summarize) or error (a problem)',
+              content: { 'text/event-stream': { schema: { type: 'string' } } }
+            }
+          }
+        })
+      },
+      '/api/summarize/incremental': {
+        post: withApiKey({
+          summary: 'Keep a summary of a growing thread up to date, sending only what was added since the last call',
+          requestBody: body('IncrementalSummarizeRequest'),
+          responses: {
+            200: json('The updated summary, what changed and the cursor for the next call', ref('IncrementalSummarizeResponse')),
+            409: problem('The cursor is out of date or the session expired; send the whole thread without a cursor')
+          }
+        })
+      },
+      '/api/reply': {
+        post: withApiKey({
+          summary: 'Suggest replies to a thread',
+          requestBody: body('ReplyRequest'),
+          responses: { 200: json('Reply variants, possibly from the cache', ref('ReplyResponse')) }
+        })
+      },
+      '/api/providers': {
+        get: { summary: 'Providers, their health and the default chain', responses: { 200: json('Provider health', anyObject) } }
+      },
+      '/api/openapi.json': {
+        get: { summary: 'This document', responses: { 200: json('OpenAPI document', anyObject) } }
+      },
+      '/health': {
+        get: { tags: ['health'], summary: 'Status overview with circuit states', responses: { 200: json('Overview', anyObject) } }
+      },
+      '/health/live': {
+        get: { tags: ['health'], summary: 'Liveness', responses: { 200: json('The process is up', anyObject) } }
+      },
+      '/health/ready': {
+        get: {
+          tags: ['health'],
+          summary: 'Readiness',
+          parameters: [query('deep', { type: 'string', enum: ['true', 'false'] }, 'Also probe each configured provider')],
+          responses: {
+            200: json('Ready or degraded', anyObject),
+            503: json('No provider in the default chain is available', anyObject)
+          }
+        }
+      },
+      '/metrics': {
+        get: {
+          tags: ['health'],
+          summary: 'Prometheus metrics',
+          security: [{ metricsToken: [] }, {}],
+          responses: {
+            200: { description: 'Text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } },
+            401: problem('Invalid metrics token')
+          }
+        }
+      },
+      '/api/admin/keys': {
+        post: admin({
+          summary: 'Create an API key; the plain key is only returned here',
+          requestBody: { required: false, content: { 'application/json': { schema: ref('CreateKeyRequest') } } },
+          responses: { 201: json('The new key', anyObject), 400: invalid }
+        }),
+        get: admin({ summary: 'List API keys with usage', responses: { 200: json('Keys', anyObject) } })
+      },
+      '/api/admin/keys/{id}': {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+        get: admin({ summary: 'One API key with usage', responses: { 200: json('Key', anyObject) } }),
+        delete: admin({ summary: 'Revoke an API key', responses: { 200: json('Revoked key', anyObject) } })
+      },
+      '/api/admin/cache': {
+        get: admin({ summary: 'Cache statistics', responses: { 200: json('Stats', anyObject) } }),
+        delete: admin({
+          summary: 'Evict cache entries by route or prefix, or everything with all=true',
+          parameters: [...cacheFilter, query('all', { type: 'string', enum: ['true'] }, 'Flush the whole cache')],
+          responses: { 200: json('Number of deleted entries', anyObject), 400: problem('No filter given') }
+        })
+      },
+      '/api/admin/cache/keys': {
+        get: admin({
+          summary: 'List cache keys',
+          parameters: [...cacheFilter, query('limit', { type: 'integer', minimum: 1, maximum: 1000 }, 'At most this many keys (default 100)')],
+          responses: { 200: json('Keys', anyObject), 400: problem('Unknown route') }
+        })
+      },
+      '/api/admin/cache/entry': {
+        parameters: [{ name: 'key', in: 'query', required: true, schema: { type: 'string' } }],
+        get: admin({ summary: 'Inspect one cache entry', responses: { 200: json('Entry', anyObject) } }),
+        delete: admin({ summary: 'Delete one cache entry', responses: { 200: json('Deleted', anyObject) } })
+      }
+    },
+    components: {
+      schemas: {
+        SummarizeRequest: schemas.SummarizeRequest,
+        IncrementalSummarizeRequest: schemas.IncrementalSummarizeRequest,
+        ReplyRequest: schemas.ReplyRequest,
+        CreateKeyRequest: schemas.CreateKeyRequest,
+        SummarizeResponse: schemas.SummarizeResponse,
+        IncrementalSummarizeResponse: schemas.IncrementalSummarizeResponse,
+        ReplyResponse: schemas.ReplyResponse,
+        Problem: schemas.Problem
+      },
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearerApiKey: { type: 'http', scheme: 'bearer', description: 'API key as a Bearer token' },
+        adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN' },
+        metricsToken: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN, when set' }
+      }
+    }
+  };
+}
+
+// Schemas are fixed at startup, so the document is built once
+let document = null;
+function openApiDocument() {
+  if (!document) document = buildDocument();
+  return document;
+}
+
+module.exports = { openApiDocument };
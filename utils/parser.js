@@ -0,0 +1,129 @@
+const { logger } = require('./logger');
+const { validate, NOT_BLANK } = require('./schema');
+const { LABELS } = require('./sentiment');
+
+// Turn free-text model output into our summary shape
+function parseSummaryResponse(aiResponse) {
+  logger.debug('Parsing model response', { response: aiResponse });
+  
+  const keyPoints = [];
+  const quotes = [];
+  let sentiment = "neutral";
+
+  // Split into lines and clean
+  const lines = aiResponse.split('\n').filter(line => line.trim());
+
+  // Parse structured format
+  let currentSection = '';
+  lines.forEach(line => {
+    const cleanLine = line.trim();
+    const lowerLine = cleanLine.toLowerCase();
+    const quoteMatch = cleanLine.match(/^\**quote\s*\d+\**\s*[:.)-]\s*(.+)$/i);
+    
+    // "Quote 1: ..." lines, as requested by summaryPrompt
+    if (quoteMatch) {
+      currentSection = 'quotes';
+      if (quotes.length < 2) {
+        quotes.push(stripQuoteMarks(quoteMatch[1]).substring(0, 80));
+      }
+    // Detect sections
+    } else if (lowerLine.includes('key points') || lowerLine.includes('main points')) {
+      currentSection = 'points';
+    } else if (lowerLine.includes('quotes') || lowerLine.includes('notable quotes')) {
+      currentSection = 'quotes';
+    } else if (lowerLine.includes('sentiment')) {
+      sentiment = lowerLine.includes('positive') ? 'positive' : 
+                 lowerLine.includes('negative') ? 'negative' : 'neutral';
+    } else if (lowerLine.includes('reading time')) {
+      // Reading time is computed locally (utils/textStats.js); skip the model's guess
+    } else if (line.trim().startsWith('-') || line.trim().startsWith('*') || line.trim().match(/^\d+\./)) {
+      const cleanLine = line.replace(/^[-*\d.]+\s*/, '').trim();
+      if (currentSection === 'points' && cleanLine) {
+        if (keyPoints.length < 3) {
+          keyPoints.push(cleanLine.substring(0, 100));
+        }
+      } else if (currentSection === 'quotes' && cleanLine) {
+        if (quotes.length < 2) {
+          quotes.push(cleanLine.replace(/[""]/g, '').substring(0, 80));
+        }
+      }
+    }
+  });
+
+  // Fallback parsing
+  let parseMode = 'text';
+  if (keyPoints.length === 0 && quotes.length === 0) {
+    parseMode = 'text-fallback';
+    const cleanLines = lines.filter(line => line.length > 20 && line.length < 150);
+    for (let i = 0; i < Math.min(3, cleanLines.length); i++) {
+      if (i < 2) {
+        keyPoints.push(cleanLines[i].substring(0, 100));
+      } else if (quotes.length < 2) {
+        quotes.push(cleanLines[i].substring(0, 80));
+      }
+    }
+  }
+
+  return {
+    keyPoints: keyPoints.length > 0 ? keyPoints.slice(0, 3) : ["Main discussion points"],
+    quotes: quotes.length > 0 ? quotes.slice(0, 2) : ["Key statement from thread"],
+    sentiment: sentiment,
+    parseMode
+  };
+}
+
+function stripQuoteMarks(text) {
+  return text.replace(/["“”]/g, '').trim();
+}
+
+// Shape we ask models for in structured mode, checked with the same validator as request bodies.
+// Overlong items aren't errors: they're cut to KEY_POINT_CHARS and QUOTE_CHARS.
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    keyPoints: { type: 'array', items: { type: 'string', pattern: NOT_BLANK }, minItems: 1, maxItems: 5 },
+    quotes: { type: 'array', items: { type: 'string', pattern: NOT_BLANK }, maxItems: 3 },
+    sentiment: { type: 'string', enum: LABELS }
+  },
+  required: ['keyPoints', 'quotes']
+};
+const KEY_POINT_CHARS = 100;
+const QUOTE_CHARS = 80;
+
+// Pull the first JSON object out of a model response (tolerates ``` fences and chatter)
+function extractJson(text) {
+  const unfenced = text.replace(/```(?:json)?/gi, '').trim();
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('no JSON object found');
+  }
+  return JSON.parse(unfenced.substring(start, end + 1));
+}
+
+// Parse structured output; returns { summary } or { errors }
+function parseStructuredSummary(aiResponse) {
+  let data;
+  try {
+    data = extractJson(aiResponse);
+  } catch (error) {
+    return { errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  const errors = validate(SUMMARY_SCHEMA, data);
+  if (errors.length > 0) {
+    return { errors: errors.map(error => error.detail) };
+  }
+
+  return {
+    summary: {
+      keyPoints: data.keyPoints.slice(0, 3).map(point => point.trim().substring(0, KEY_POINT_CHARS)),
+      quotes: data.quotes.length > 0
+        ? data.quotes.slice(0, 2).map(quote => stripQuoteMarks(quote).substring(0, QUOTE_CHARS))
+        : ["Key statement from thread"],
+      sentiment: data.sentiment || "neutral"
+    }
+  };
+}
+
+module.exports = { parseSummaryResponse, parseStructuredSummary, SUMMARY_SCHEMA };
@@ -0,0 +1,21 @@
+// Discourse forums: post controls, like/reply counters, short dates, quote headers and signatures
+module.exports = {
+  name: 'discourse',
+  chrome: [
+    /^(Reply|Like|Liked|Share|Bookmark|Flag|Copy link|Edit|Solution|Solved|Read more|Expand|Collapse|Quote|Jump to post|created|last reply|replies|views|users|likes|links)$/i,
+    /^\d+ (Likes?|Repl(y|ies)|Views?|Users?|Links?)$/i,
+    /^\d+\s*\/\s*\d+$/,
+    /^\d+\s*(m|min|h|d|w|mon|y)$/i,
+    /^[A-Z][a-z]{2} '?\d{1,2}(, '?\d{2,4})?$/,
+    /^[A-Z][a-z]{2} \d{4}$/,
+    /^[\w.-]+ said:$/i,
+    /^Posted by @?[\w.-]+.*$/i,
+    /^(This topic was automatically closed|Closed on).*$/i
+  ],
+  counters: /^(Like|Liked|Likes)$/i,
+  inline: [
+    [/\s*(Reply|Like)$/, '']
+  ],
+  // Email-style "-- " separator before a signature
+  signature: /^--\s*$/
+};
@@ -0,0 +1,6 @@
+// Unknown or unspecified platform: only the shared cleanup (separators, repeated posts, quoted duplicates)
+module.exports = {
+  name: 'generic',
+  chrome: [],
+  inline: []
+};
@@ -0,0 +1,17 @@
+// Hacker News: story and comment headers, nav links ("parent | next [–]") and collapse markers
+module.exports = {
+  name: 'hackernews',
+  aliases: ['hn'],
+  chrome: [
+    /^\d+ points? by \S+ .*ago.*$/i,
+    /^\S+ \d+ (minutes?|hours?|days?|months?|years?) ago\b.*$/i,
+    /^(\||reply|parent|next|prev|root|context|flag|favorite|hide|past|discuss|edit|delete|vouch|\[–\]|\[-\]|\[\+\]|\[\d+ more\]|\[dead\]|\[flagged\]|\[deleted\])$/i,
+    /^(\|\s*)?(parent|next|prev|root|context)(\s*\|\s*(parent|next|prev|root|context|flag|favorite))*(\s*\[[–+-]\])?$/i,
+    /^\d+ comments?$/i,
+    /^more$/i
+  ],
+  inline: [
+    [/\s*\[[–+-]\]\s*$/, ''],
+    [/\s*\[\d+ more\]\s*$/, '']
+  ]
+};
@@ -0,0 +1,139 @@
+// Platform-aware cleanup of thread text, run before any provider sees it (see normalizeThread).
+// Each platform module describes its noise declaratively:
+//   name, aliases (optional)
+//   chrome: patterns for whole lines that are UI (buttons, vote counts, timestamps, bylines)
+//   inline: [pattern, replacement] pairs applied to the remaining lines
+//   quote: pattern for quoted-reply lines (optional, defaults to "> ")
+//   signature: pattern for the line that starts a signature; it and the rest of its paragraph are dropped (optional)
+//   counters: pattern for the buttons a vote or like count sits next to; a line that is only a number is
+//     dropped when the line before or after it is one of them, and kept otherwise ("42" can be a reply) (optional)
+// On top of that, every platform drops quoted lines that repeat text seen earlier in the thread
+// and posts (or long lines) that appear more than once.
+const PLATFORMS = [
+  require('./generic'),
+  require('./twitter'),
+  require('./reddit'),
+  require('./hackernews'),
+  require('./discourse'),
+  require('./linkedin'),
+  require('./slack')
+];
+
+const byName = new Map();
+PLATFORMS.forEach(platform => {
+  [platform.name, ...(platform.aliases || [])].forEach(name => byName.set(name, platform));
+});
+
+// Accepted values for threadContent.platform
+const PLATFORM_NAMES = Array.from(byName.keys());
+
+// Lines that are UI on any platform: lone separators and bullets
+const COMMON_CHROME = [/^[·•|—–-]+$/];
+const DEFAULT_QUOTE = /^\s*>\s?/;
+const COUNT = /^-?\d+(?:[.,]\d+)?k?$/i;
+// Lines shorter than this can legitimately repeat ("Thanks!", "+1"), so they're never de-duplicated
+const MIN_DUPLICATE_LENGTH = 40;
+// A quote this long that is part of an earlier line counts as quoting it; shorter quotes ("yes", "+1")
+// only do when they match a whole earlier line
+const MIN_PARTIAL_QUOTE_LENGTH = 20;
+
+const comparable = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+function platformFor(name) {
+  return byName.get(name) || byName.get('generic');
+}
+
+// Clean one block of text (a post, or a whole unstructured thread). `seen` holds comparable forms
+// of lines kept so far in the thread, so quotes of earlier posts can be recognised and dropped.
+function cleanText(text, platform, seen = new Set()) {
+  const chrome = COMMON_CHROME.concat(platform.chrome || []);
+  const quote = platform.quote || DEFAULT_QUOTE;
+  const kept = [];
+  let inSignature = false;
+
+  const lines = text.split('\n');
+  // A bare number beside a vote or like button is that button's count
+  const isCount = (line, index) => Boolean(platform.counters) && COUNT.test(line) &&
+    [lines[index - 1], lines[index + 1]].some(neighbour => neighbour !== undefined && platform.counters.test(neighbour.trim()));
+
+  for (const [index, rawLine] of lines.entries()) {
+    // A signature runs to the end of the post, or of the paragraph in unstructured text
+    if (platform.signature && platform.signature.test(rawLine)) inSignature = true;
+    if (inSignature) {
+      if (rawLine.trim()) continue;
+      inSignature = false;
+    }
+
+    const line = (platform.inline || []).reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), rawLine).trim();
+    // Blank lines separate paragraphs and are kept; lines that were only noise are not
+    if (!line) {
+      if (!rawLine.trim()) kept.push('');
+      continue;
+    }
+    if (chrome.some(pattern => pattern.test(line)) || isCount(line, index)) continue;
+
+    if (quote.test(line)) {
+      const quoted = comparable(line.replace(quote, ''));
+      // Quoting something already in the thread adds nothing; an empty quote line neither
+      if (!quoted || seen.has(quoted)) continue;
+      if (quoted.length >= MIN_PARTIAL_QUOTE_LENGTH && Array.from(seen).some(previous => previous.includes(quoted))) continue;
+    }
+
+    const key = comparable(line);
+    if (line.length >= MIN_DUPLICATE_LENGTH && seen.has(key)) continue;
+    seen.add(key);
+    kept.push(line);
+  }
+
+  // Keep paragraphs, but no runs of blank lines
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Cleaned copy of a thread: unstructured text, or posts in their canonical form ({ id, parentId, text, ... }).
+// Posts that repeat an earlier post by the same author, or that are left empty, are dropped and replies
+// to them re-pointed at the post they replied to. Returns the thread unchanged if nothing would be left.
+function cleanThread(threadContent) {
+  const platform = platformFor(threadContent.platform);
+  const seen = new Set();
+
+  if (!threadContent.posts) {
+    const text = cleanText(threadContent.text || '', platform, seen);
+    return text ? { ...threadContent, text } : threadContent;
+  }
+
+  const replaced = new Map();
+  const signatures = new Set();
+  const posts = [];
+
+  threadContent.posts.forEach(post => {
+    // Compare posts on their own cleaned text, before lines seen in other posts are taken out
+    const signature = `${post.author || ''}\n${comparable(cleanText(post.text, platform))}`;
+    const text = signatures.has(signature) ? '' : cleanText(post.text, platform, seen);
+    if (!text) {
+      replaced.set(post.id, post.parentId);
+      return;
+    }
+    signatures.add(signature);
+    posts.push({ ...post, text });
+  });
+
+  if (posts.length === 0) return threadContent;
+
+  // Follow chains of dropped posts up to one that was kept (or the root)
+  const resolveParent = parentId => {
+    let current = parentId;
+    const visited = new Set();
+    while (current !== null && replaced.has(current) && !visited.has(current)) {
+      visited.add(current);
+      current = replaced.get(current);
+    }
+    return current;
+  };
+
+  return {
+    ...threadContent,
+    posts: posts.map(post => ({ ...post, parentId: resolveParent(post.parentId) }))
+  };
+}
+
+module.exports = { PLATFORM_NAMES, cleanThread, cleanText, platformFor };
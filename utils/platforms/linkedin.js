@@ -0,0 +1,18 @@
+// LinkedIn: reaction bars, connection degrees, "…see more" truncation and follow buttons
+module.exports = {
+  name: 'linkedin',
+  chrome: [
+    /^(Like|Comment|Repost|Send|Reply|Follow|\+ Follow|Following|Connect|Message|Author|Edited|Promoted|Show translation|See translation|Load more comments|Most relevant|Most recent|Report this comment|Report this post)$/i,
+    /^[\d,]+\s+(reactions?|comments?|reposts?|likes?|replies|repl(y|ies)|impressions?|followers?)$/i,
+    /^([•·]\s*)?(1st|2nd|3rd\+?|Out of network)$/i,
+    /^\d+(h|d|w|mo|m|y|yr)\s*([•·].*)?$/i,
+    /^(Like|Reply)\s*[|·•].*$/i,
+    /^View .+['’]s? (profile|graphic link)$/i,
+    /^(…|\.\.\.)?\s*see more$/i
+  ],
+  inline: [
+    [/\s*(…|\.\.\.)\s*see more$/i, ''],
+    [/\bhashtag#(\w+)/g, '#$1'],
+    [/\s*[•·]\s*(1st|2nd|3rd\+?)$/i, '']
+  ]
+};
@@ -0,0 +1,23 @@
+// Reddit (new and old layouts): vote counts, action links, comment depth and relative timestamps
+module.exports = {
+  name: 'reddit',
+  chrome: [
+    /^-?\d+(?:\.\d+)?k?\s+(points?|upvotes?|votes?|comments?)$/i,
+    /^(Vote|Upvote|Downvote|Reply|Share|Save|Report|Edit|Give Award|Award|Follow|Join|Joined|OP|Mod|Moderator|Stickied comment|Top \d+% Commenter|Continue this thread|More replies|Load more comments|View more comments|Single comment thread|See full discussion|level \d+)$/i,
+    /^\d+ more repl(y|ies)$/i,
+    /^Sort by:.*$/i,
+    /^(\d+|an?) (sec|second|min|minute|hr|hour|day|week|mo|month|yr|year)s? ago$/i,
+    /^(\[deleted\]|\[removed\])$/i,
+    /^(Posted by )?u\/[\w-]+(\s*[·•]\s*.*)?$/i,
+    /^r\/\w+(\s*[·•]\s*.*)?$/i,
+    /^edited( \d+ \w+ ago)?$/i,
+    /^(permalink|embed|parent|context|source|save|report|reply|give award|share)(\s+(permalink|embed|parent|context|source|save|report|reply|give award|share))*$/i
+  ],
+  // Vote widget: "Upvote / 412 / Downvote" in the current layout, "412 / Vote" in the old one
+  counters: /^(Vote|Upvote|Downvote)$/i,
+  inline: [
+    [/&gt;/g, '>'],
+    [/&amp;/g, '&'],
+    [/\s*\(edited\)$/i, '']
+  ]
+};
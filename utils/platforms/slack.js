@@ -0,0 +1,23 @@
+// Slack exports and copy-paste: time-only lines, thread summaries, join messages, reactions and mrkdwn links
+module.exports = {
+  name: 'slack',
+  chrome: [
+    /^\[?\d{1,2}:\d{2}(:\d{2})?(\s?[AP]M)?\]?$/i,
+    /^\d+ repl(y|ies)$/i,
+    /^Last reply .*$/i,
+    /^(View thread|Also sent to the channel|replied to a thread:.*|New messages)$/i,
+    /^.+ (has joined|has left|joined|left) (the channel|#[\w-]+)$/i,
+    /^(:[\w+-]+:\s*\d+\s*)+$/,
+    /^(Today|Yesterday|(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)(, \w+ \d{1,2}(st|nd|rd|th)?)?)$/i
+  ],
+  inline: [
+    // "Alice  10:42 AM" headers become "Alice:"
+    // (a capitalised name of up to three words, or a single handle, so "see you at 10:30 PM" is left alone)
+    [/^((?:\p{Lu}[\p{L}.'-]*\s+){1,3}|[\w.-]+\s+)\d{1,2}:\d{2}\s?[AaPp][Mm]$/u, (match, name) => `${name.trim()}:`],
+    [/\s*\(edited\)$/i, ''],
+    [/<@([\w.-]+)(\|([^>]+))?>/g, (match, id, withName, name) => `@${name || id}`],
+    [/<#\w+\|([^>]+)>/g, '#$1'],
+    [/<(https?:[^|>]+)\|([^>]+)>/g, '$2'],
+    [/<(https?:[^>]+)>/g, '$1']
+  ]
+};
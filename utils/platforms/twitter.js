@@ -0,0 +1,24 @@
+// Twitter / X, copied from the web app: engagement counts, "Replying to", handles and timestamps on their own lines
+const COUNT = String.raw`\d+(?:[.,]\d+)?[KM]?`;
+
+module.exports = {
+  name: 'twitter',
+  aliases: ['x'],
+  chrome: [
+    new RegExp(`^${COUNT}$`, 'i'),
+    new RegExp(`^${COUNT}\\s+(views?|likes?|reposts?|retweets?|replies|reply|quotes?|bookmarks?)$`, 'i'),
+    /^Replying to(\s+@\w+)+(\s+and \d+ others?)?$/i,
+    /^@\w+$/,
+    /^(·\s*)?\d+[smhd]$/,
+    /^\d{1,2}:\d{2}\s?[AP]M\s*·.*$/i,
+    /^(Follow|Following|Promoted|Ad|Pinned|Translate post|Show more replies|Show replies|Show this thread|Show more|Show probable spam|Quote|Repost|Reposted|Retweeted)$/i,
+    // "Jane Doe reposted" banners: a display name (up to four capitalised words), not a sentence that ends that way
+    /^(You |(\p{Lu}[\p{L}\p{N}.'’-]*\s){1,4})(reposted|retweeted)$/u
+  ],
+  inline: [
+    [/^RT @\w+:\s*/, ''],
+    [/^Replying to(\s+@\w+)+\s*/i, ''],
+    [/https?:\/\/t\.co\/\w+/g, ''],
+    [/\s*Show more$/i, '']
+  ]
+};
@@ -0,0 +1,38 @@
+// Error responses as RFC 7807 problem details (application/problem+json):
+// { type, title, status, detail, instance, requestId, ...extensions }.
+// `error` and `message` repeat title and detail for clients written against the old { error, message } bodies.
+const http = require('http');
+
+// Problem types beyond the plain HTTP status; 'about:blank' means "see the status code"
+const PROBLEM_TYPES = {
+  validation: { type: '/problems/validation-error', title: 'Invalid request' },
+  rateLimit: { type: '/problems/rate-limit-exceeded', title: 'Rate limit exceeded' },
+  quota: { type: '/problems/quota-exceeded', title: 'Quota exceeded' },
+  providers: { type: '/problems/providers-failed', title: 'All providers failed' },
+  session: { type: '/problems/session-out-of-date', title: 'Session out of date' }
+};
+
+function problemBody(req, status, detail, { kind, ...extensions } = {}) {
+  const { type, title } = PROBLEM_TYPES[kind] || { type: 'about:blank', title: http.STATUS_CODES[status] || 'Error' };
+  return {
+    type,
+    title,
+    status,
+    detail,
+    instance: req.originalUrl.split('?')[0],
+    ...(req.id ? { requestId: req.id } : {}),
+    ...extensions,
+    error: title,
+    message: detail
+  };
+}
+
+// Send a problem; options.kind picks an entry of PROBLEM_TYPES, anything else is added to the body
+function sendProblem(res, status, detail, options) {
+  return res
+    .status(status)
+    .type('application/problem+json')
+    .json(problemBody(res.req, status, detail, options));
+}
+
+module.exports = { PROBLEM_TYPES, problemBody, sendProblem };
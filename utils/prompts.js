@@ -0,0 +1,178 @@
+// Prompts shared by the chat-style providers (Gemini, OpenAI)
+const { TONES } = require('./replies');
+const { isEnglish, languageName } = require('./language');
+const { excerpt } = require('./chunker');
+
+// Rule line for the output language (language comes from utils/language.js). English threads
+// answered in English get none, so their prompts are unchanged.
+function languageRule(language, what) {
+  if (isEnglish(language)) return '';
+  return `- Write ${what} in ${languageName(language.target)}\n`;
+}
+
+// Quotes are matched back to posts, so they must never be translated
+const QUOTES_VERBATIM = 'copy quotes word for word in the language they were written in';
+
+// Structured threads (threadContent.posts) are rendered one post per line by utils/thread.js
+function threadSection(threadContent) {
+  if (!threadContent.posts) {
+    return `Thread content: ${threadContent.text}`;
+  }
+  return `The thread is given one post per line as "[post id] author (time) replying to author [post id]: text".
+Keep track of who said what, and copy quotes word for word from a post's text (without the prefix).
+
+Thread posts:
+${threadContent.text}`;
+}
+
+function summaryPrompt(threadContent, language) {
+  return `You are a content summarization expert. Create a concise, actionable summary of this social media thread.
+
+Rules:
+- Provide EXACTLY 3 key points (numbered 1, 2, 3)
+- Include EXACTLY 2 notable quotes (labeled as "Quote 1:" and "Quote 2:")
+- Keep each key point under 100 characters
+- Keep each quote under 80 characters
+- Focus on the main discussion, ignore replies/suggestions
+- Use clear, simple language
+${languageRule(language, `the key points (${QUOTES_VERBATIM}), keeping the headings below in English`)}- Format exactly as shown below:
+
+Key Points:
+1. [First key point here]
+2. [Second key point here]
+3. [Third key point here]
+
+Quotes:
+Quote 1: [First notable quote here]
+Quote 2: [Second notable quote here]
+
+${threadSection(threadContent)}`;
+}
+
+// Ask for machine-readable output; validated against SUMMARY_SCHEMA in utils/parser.js
+function structuredSummaryPrompt(threadContent, language) {
+  return `You are a content summarization expert. Summarize this social media thread.
+
+Respond with ONLY a JSON object, no markdown fences and no commentary, matching this shape:
+{
+  "keyPoints": ["exactly 3 strings, each under 100 characters"],
+  "quotes": ["exactly 2 notable quotes copied from the thread, each under 80 characters"],
+  "sentiment": "positive" | "negative" | "neutral" | "mixed"
+}
+
+Focus on the main discussion, ignore replies/suggestions, and use clear, simple language.
+${languageRule(language, `the key points (${QUOTES_VERBATIM}); keep the JSON field names and sentiment values in English`)}
+${threadSection(threadContent)}`;
+}
+
+// Second chance for a model whose JSON didn't validate
+function repairPrompt(invalidOutput, errors) {
+  return `The following output was supposed to be a JSON object with "keyPoints" (array of 3 strings), "quotes" (array of 2 strings) and "sentiment" ("positive", "negative", "neutral" or "mixed"), but it is invalid:
+
+${invalidOutput.substring(0, 2000)}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected JSON object, nothing else.`;
+}
+
+// Reduce step of map-reduce: partial summaries of consecutive thread sections
+function formatPartials(partials) {
+  return partials.map((partial, index) => `Section ${index + 1}:
+Key points: ${partial.keyPoints.join(' | ')}
+Quotes: ${partial.quotes.join(' | ')}`).join('\n\n');
+}
+
+function mergePrompt(partials, language) {
+  return `You are a content summarization expert. A long social media thread was summarized section by section. Merge these partial summaries into one summary of the whole thread.
+
+Rules:
+- Provide EXACTLY 3 key points (numbered 1, 2, 3) covering the whole thread, not just the first section
+- Pick EXACTLY 2 notable quotes from the quotes listed below (labeled as "Quote 1:" and "Quote 2:")
+- Keep each key point under 100 characters
+${languageRule(language, `the key points (${QUOTES_VERBATIM}), keeping the headings below in English`)}- Format exactly as shown below:
+
+Key Points:
+1. [First key point here]
+2. [Second key point here]
+3. [Third key point here]
+
+Quotes:
+Quote 1: [First notable quote here]
+Quote 2: [Second notable quote here]
+
+Partial summaries:
+${formatPartials(partials)}`;
+}
+
+function structuredMergePrompt(partials, language) {
+  return `You are a content summarization expert. A long social media thread was summarized section by section. Merge these partial summaries into one summary of the whole thread.
+
+Respond with ONLY a JSON object, no markdown fences and no commentary, matching this shape:
+{
+  "keyPoints": ["exactly 3 strings covering the whole thread, each under 100 characters"],
+  "quotes": ["exactly 2 quotes picked from the partial summaries, each under 80 characters"],
+  "sentiment": "positive" | "negative" | "neutral" | "mixed"
+}
+${languageRule(language, `the key points (${QUOTES_VERBATIM}); keep the JSON field names and sentiment values in English`)}
+Partial summaries:
+${formatPartials(partials)}`;
+}
+
+// Dedicated sentiment step: segments come from segmentThread() in utils/sentiment.js
+function sentimentPrompt(segments, authors) {
+  const numbered = segments
+    .map((segment, index) => `Segment ${index + 1}: ${segment.text.substring(0, 600).replace(/\s*\n\s*/g, ' ')}`)
+    .join('\n');
+  const participants = authors.length > 0
+    ? `\nFor each of these participants, give their stance towards the thread's opening post: ${authors.join(', ')}.
+Stance is one of "author" (wrote the opening post), "supportive", "opposed", "neutral" or "mixed".\n`
+    : '';
+
+  return `Analyze the sentiment of this social media thread. It is split into ${segments.length} consecutive segments.
+${participants}
+Respond with ONLY a JSON object, no markdown fences and no commentary, matching this shape:
+{
+  "score": <overall sentiment from -1 (very negative) to 1 (very positive)>,
+  "label": "positive" | "negative" | "neutral" | "mixed",
+  "segments": [<one score from -1 to 1 per segment, exactly ${segments.length} numbers, in order>],
+  "participants": [{"author": "<name>", "stance": "<stance>"}]
+}
+
+${numbered}`;
+}
+
+// plan comes from planReplies() in utils/replies.js: one tone per variant plus a character budget.
+// The thread is cut to the provider's maxInputChars, since replies aren't map-reduced.
+function replyPrompt(threadContent, summary, plan, language, maxInputChars) {
+  const variants = plan.tones
+    .map((tone, index) => `${index + 1}. tone "${tone}": ${TONES[tone]}`)
+    .join('\n');
+
+  return `Generate ${plan.tones.length} alternative human-like responses to this thread. Each response must:
+- Sound natural and conversational
+- Add value to the discussion
+- Avoid AI-detection patterns
+- Be 1-3 sentences and at most ${plan.maxChars} characters
+${languageRule(language, 'every response')}
+Thread content: ${excerpt(threadContent.text, maxInputChars)}
+
+Summary key points: ${summary.keyPoints.slice(0, 2).join(', ')}
+
+The "replies" array must hold one response per tone below, in this order:
+${variants}
+
+Respond with ONLY a JSON object, no markdown fences and no commentary:
+{"replies": [{"tone": "<tone>", "text": "<response>"}]}`;
+}
+
+module.exports = {
+  summaryPrompt,
+  structuredSummaryPrompt,
+  repairPrompt,
+  mergePrompt,
+  structuredMergePrompt,
+  sentimentPrompt,
+  replyPrompt
+};
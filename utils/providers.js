@@ -0,0 +1,375 @@
+const config = require('../config');
+const { summarizeLong, mergeLocally } = require('./mapreduce');
+const { attributeQuotes, threadPlainText } = require('./thread');
+const { resolveLanguage, languageName } = require('./language');
+const { computeTextStats } = require('./textStats');
+const { analyzeThread } = require('./sentiment');
+const { breakerFor, breakerSnapshot, isQuotaError } = require('./circuitBreaker');
+const { throwIfCancelled } = require('./timeout');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
+
+// Registry of summarization backends. Every provider exposes the same interface:
+//   name, isConfigured(), summarize(threadContent, options), reply(threadContent, summary, options), health()
+// reply resolves to an array of { text, tone } variants (see utils/replies.js)
+// analyzeSentiment(threadContent) is optional and returns the shape of analyzeThread() in utils/sentiment.js
+// and optionally maxInputChars and mergeSummaries(partials, options) for map-reduce on long threads.
+// options.signal, when set, is aborted if the client disconnects; providers pass it on to their HTTP calls.
+// probe(signal) is optional: a cheap request used by deep readiness checks.
+// supportsLanguage(language, task) is optional: when it returns false the provider is skipped for that
+// request. options.language ({ detected, confidence, target }, see utils/language.js) is set for every call.
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.probes = new Map();
+  }
+
+  register(provider) {
+    for (const method of ['summarize', 'reply', 'health']) {
+      if (typeof provider[method] !== 'function') {
+        throw new Error(`Provider ${provider.name} is missing ${method}()`);
+      }
+    }
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  names() {
+    return Array.from(this.providers.keys());
+  }
+
+  // Whether a provider would be tried right now: configured and its circuit not open
+  isAvailable(name) {
+    const provider = this.providers.get(name);
+    return Boolean(provider && provider.isConfigured() && (provider.local || breakerFor(name).isAvailable()));
+  }
+
+  // Pick the chain for a request: explicit list (array or comma string) or the configured default
+  resolveChain(requested) {
+    let chain = config.providers.chain;
+
+    if (requested) {
+      chain = Array.isArray(requested) ? requested : String(requested).split(',');
+      chain = chain.map(name => String(name).trim()).filter(Boolean);
+    }
+
+    const unknown = chain.filter(name => !this.providers.has(name));
+    if (unknown.length > 0) {
+      const error = new Error(`Unknown provider(s): ${unknown.join(', ')}. Available: ${this.names().join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (chain.length === 0) {
+      const error = new Error('Provider chain is empty');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return chain;
+  }
+
+  async summarize(threadContent, requestOptions = {}) {
+    const options = withLanguage(threadContent, requestOptions);
+    const outcome = await this.runChain('summarize', options.providers, provider => summarizeLong(provider, threadContent, options), {
+      signal: options.signal,
+      language: options.language
+    });
+    return this.finishSummary(threadContent, outcome, options);
+  }
+
+  // Like summarize, but reports progress through emit(event, data):
+  //   'delta' for streamed model output, 'fallback' when a provider failed and the next one takes over.
+  // Providers that can't stream, and threads too long for one call, produce no deltas.
+  async summarizeStream(threadContent, requestOptions = {}, emit) {
+    const options = withLanguage(threadContent, requestOptions);
+    const outcome = await this.runChain('summarize', options.providers, provider => {
+      const chunkSize = provider.maxInputChars || config.summary.chunkSize;
+      if (typeof provider.summarizeStream !== 'function' || threadContent.text.length > chunkSize) {
+        return summarizeLong(provider, threadContent, options);
+      }
+      return provider.summarizeStream(threadContent, options, text => emit('delta', { provider: provider.name, text }))
+        .then(summary => ({ ...summary, chunks: { total: 1, processed: 1 } }));
+    }, {
+      onFallback: (from, to, reason) => emit('fallback', { from, to, reason }),
+      signal: options.signal,
+      language: options.language
+    });
+    return this.finishSummary(threadContent, outcome, options);
+  }
+
+  // Bring an earlier summary up to date with posts added since: the new posts are summarized on
+  // their own, then merged with the earlier summary like two sections of a long thread. `changes`
+  // holds the key points of the new posts alone ("what changed since last time").
+  // threadContent is the whole thread so far, for sentiment, stats and quote attribution.
+  async updateSummary(threadContent, previous, additions, requestOptions = {}) {
+    const options = withLanguage(threadContent, requestOptions);
+    const outcome = await this.runChain('summarize', options.providers, async provider => {
+      const partial = await summarizeLong(provider, additions, options);
+      let merged;
+      if (typeof provider.mergeSummaries === 'function') {
+        try {
+          merged = await provider.mergeSummaries([previous, partial], options);
+        } catch (error) {
+          if (error.cancelled) throw error;
+          logger.warn('Merge with previous summary failed, merging locally', { provider: provider.name, error });
+        }
+      }
+      if (!merged) {
+        merged = mergeLocally([previous, partial]);
+      }
+      const models = [...new Set([partial, merged].flatMap(part => part.models || []))];
+      return {
+        ...merged,
+        ...(models.length > 0 ? { models } : {}),
+        chunks: partial.chunks,
+        changes: partial.keyPoints
+      };
+    }, { signal: options.signal, language: options.language });
+    return this.finishSummary(threadContent, outcome, options);
+  }
+
+  async finishSummary(threadContent, outcome, options) {
+    outcome.result.language = options.language;
+    if (threadContent.posts) {
+      outcome.result.quoteSources = attributeQuotes(outcome.result.quotes, threadContent.posts);
+    }
+
+    // Counts and reading time are computed locally, whatever the provider reported
+    const stats = computeTextStats(threadPlainText(threadContent), options);
+    Object.assign(outcome.result, {
+      wordCount: stats.wordCount,
+      sentenceCount: stats.sentenceCount,
+      timeToRead: stats.timeToRead,
+      readingTimeSeconds: stats.readingTimeSeconds,
+      script: stats.script
+    });
+
+    // One analysis step for every provider, so sentiment doesn't depend on what the summary model printed
+    const analysis = await this.analyze(threadContent, options);
+    Object.assign(outcome.result, {
+      sentiment: analysis.label,
+      sentimentScore: analysis.score,
+      sentimentTimeline: analysis.timeline,
+      participants: analysis.participants,
+      sentimentSource: analysis.source
+    });
+    return outcome;
+  }
+
+  // Sentiment score, timeline and stances; 'model' mode walks the chain, the local analyzer is the fallback
+  async analyze(threadContent, options = {}) {
+    const mode = options.sentiment || config.sentiment.analyzer;
+
+    if (mode === 'model') {
+      try {
+        const { provider, result } = await this.runChain('analyze', options.providers, provider => provider.analyzeSentiment(threadContent, options), {
+          signal: options.signal,
+          method: 'analyzeSentiment'
+        });
+        return { ...result, source: provider };
+      } catch (error) {
+        if (error.cancelled) throw error;
+        logger.warn('Model sentiment analysis failed, using local analyzer', { error });
+      }
+    }
+
+    return { ...analyzeThread(threadContent, options.language), source: 'local' };
+  }
+
+  // { provider, result, fallback, language }
+  async reply(threadContent, summary, requestOptions = {}) {
+    const options = withLanguage(threadContent, requestOptions);
+    const outcome = await this.runChain('reply', options.providers, provider => provider.reply(threadContent, summary, options), {
+      signal: options.signal,
+      language: options.language
+    });
+    return { ...outcome, language: options.language };
+  }
+
+  // Try each provider in order until one succeeds; returns { provider, result, fallback }.
+  // fallback is true when a configured provider earlier in the chain failed or had its circuit open
+  // (unconfigured ones are skipped silently). The local provider never fails, so it has no breaker.
+  // hooks.onFallback(from, to, reason) fires when a provider that was tried failed and another takes over.
+  // hooks.signal stops the chain when the client disconnects: cancelled work isn't retried elsewhere.
+  // hooks.language skips providers that can't work in the thread's or the requested language (like unconfigured ones).
+  // hooks.method skips providers that don't implement it (a missing feature isn't a failure, so no breaker sees it).
+  async runChain(task, requested, call, hooks = {}) {
+    const chain = this.resolveChain(requested);
+    const failures = [];
+    let failed = null;
+    let skipped = false;
+
+    for (const name of chain) {
+      throwIfCancelled(hooks.signal);
+      const provider = this.providers.get(name);
+
+      if (!provider.isConfigured()) {
+        failures.push(`${name}: not configured`);
+        continue;
+      }
+
+      if (hooks.method && typeof provider[hooks.method] !== 'function') {
+        failures.push(`${name}: no ${task} support`);
+        continue;
+      }
+
+      if (hooks.language && typeof provider.supportsLanguage === 'function' && !provider.supportsLanguage(hooks.language, task)) {
+        failures.push(`${name}: no ${languageName(hooks.language.detected)} to ${languageName(hooks.language.target)} support`);
+        continue;
+      }
+
+      const breaker = provider.local ? null : breakerFor(name);
+      if (breaker && !breaker.isAvailable()) {
+        failures.push(`${name}: circuit open`);
+        skipped = true;
+        metrics.providerRequests.inc({ provider: name, task, outcome: 'circuit_open' });
+        metrics.fallbacks.inc({ task, provider: name, reason: 'circuit_open' });
+        continue;
+      }
+
+      if (failed && hooks.onFallback) {
+        hooks.onFallback(failed.name, name, failed.reason);
+      }
+
+      const started = Date.now();
+      logger.debug('Calling provider', { provider: name, task });
+      try {
+        const result = await (breaker ? breaker.run(() => call(provider)) : call(provider));
+        metrics.providerRequests.inc({ provider: name, task, outcome: 'success' });
+        metrics.providerDuration.observeSince({ provider: name, task }, started);
+        logger.info('Provider call succeeded', {
+          provider: name,
+          task,
+          durationMs: Date.now() - started,
+          fallback: failures.length > 0
+        });
+        return { provider: name, result, fallback: Boolean(failed) || skipped };
+      } catch (error) {
+        if (error.cancelled) {
+          logger.info('Provider call cancelled', { provider: name, task, reason: error.message });
+          metrics.providerRequests.inc({ provider: name, task, outcome: 'cancelled' });
+          throw error;
+        }
+        if (error.circuitOpen) {
+          failures.push(`${name}: ${error.message}`);
+          skipped = true;
+          metrics.providerRequests.inc({ provider: name, task, outcome: 'circuit_open' });
+          metrics.fallbacks.inc({ task, provider: name, reason: 'circuit_open' });
+          continue;
+        }
+        metrics.providerRequests.inc({ provider: name, task, outcome: 'failure' });
+        metrics.providerDuration.observeSince({ provider: name, task }, started);
+        metrics.fallbacks.inc({ task, provider: name, reason: fallbackReason(error) });
+        logger.warn('Provider call failed', { provider: name, task, durationMs: Date.now() - started, error });
+        failures.push(`${name}: ${error.message}`);
+        failed = { name, reason: error.message };
+      }
+    }
+
+    const error = new Error(`All providers failed to ${task} (${failures.join('; ')})`);
+    error.providersFailed = true;
+    throw error;
+  }
+
+  async health() {
+    const providers = await Promise.all(
+      Array.from(this.providers.values()).map(async provider => {
+        try {
+          const health = await provider.health();
+          return provider.local || !provider.isConfigured() ? health : { ...health, circuit: breakerFor(provider.name).snapshot() };
+        } catch (error) {
+          return { name: provider.name, configured: false, error: error.message };
+        }
+      })
+    );
+    return { chain: config.providers.chain, providers };
+  }
+
+  // Readiness: ready while some provider in the default chain can take traffic. Per provider:
+  // configuration, circuit state and last success/failure; with deep, a live probe as well.
+  async readiness({ deep = false } = {}) {
+    const providers = await Promise.all(Array.from(this.providers.values()).map(async provider => {
+      const configured = provider.isConfigured();
+      const entry = {
+        name: provider.name,
+        configured,
+        inDefaultChain: config.providers.chain.includes(provider.name),
+        available: this.isAvailable(provider.name)
+      };
+
+      if (!provider.local) {
+        entry.apiKey = provider.mock ? 'mock' : configured ? 'present' : 'missing';
+        const circuit = breakerSnapshot(provider.name);
+        Object.assign(entry, {
+          circuit: circuit ? circuit.state : 'closed',
+          lastSuccessAt: circuit ? circuit.lastSuccessAt : null,
+          lastFailureAt: circuit ? circuit.lastFailureAt : null,
+          lastError: circuit && circuit.lastError ? circuit.lastError.message : null
+        });
+      }
+      if (deep && configured && typeof provider.probe === 'function') {
+        entry.probe = await this.probe(provider);
+      }
+      return entry;
+    }));
+
+    return {
+      ready: config.providers.chain.some(name => this.isAvailable(name)),
+      providers
+    };
+  }
+
+  // Results are reused for a short while so deep checks can't be used to hammer the providers
+  async probe(provider) {
+    const cached = this.probes.get(provider.name);
+    if (cached && Date.now() - cached.at < config.health.probeCacheSeconds * 1000) {
+      return cached.result;
+    }
+
+    const started = Date.now();
+    let result;
+    try {
+      await provider.probe();
+      result = { ok: true, latencyMs: Date.now() - started };
+    } catch (error) {
+      result = { ok: false, latencyMs: Date.now() - started, error: error.message };
+    }
+    result.checkedAt = new Date(started).toISOString();
+    this.probes.set(provider.name, { at: started, result });
+    return result;
+  }
+}
+
+// Options with the thread's language resolved once, for every provider and step of the request
+function withLanguage(threadContent, options) {
+  if (options.language) return options;
+  return { ...options, language: resolveLanguage(threadPlainText(threadContent), options.targetLanguage) };
+}
+
+// Coarse reason for the fallback metric
+function fallbackReason(error) {
+  if (error.timeout) return 'timeout';
+  if (isQuotaError(error)) return 'quota';
+  return 'error';
+}
+
+const registry = new ProviderRegistry();
+
+// Mock mode swaps the remote providers for offline stand-ins with the same names (see utils/mock.js)
+if (config.mock.enabled) {
+  const { createMockProvider } = require('./mock');
+  logger.info('Mock providers enabled');
+  ['gemini', 'huggingface', 'openai'].forEach(name => registry.register(createMockProvider(name)));
+} else {
+  registry
+    .register(require('./gemini'))
+    .register(require('./huggingface'))
+    .register(require('./openai'));
+}
+registry.register(require('./heuristic'));
+
+module.exports = registry;
@@ -0,0 +1,21 @@
+// Seeded pseudo-random numbers, so template output can be reproduced from a seed
+
+const MAX_SEED = 0xffffffff;
+
+// mulberry32: tiny, fast and good enough for picking templates; returns floats in [0, 1) like Math.random
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+module.exports = { createRandom, randomSeed, MAX_SEED };
@@ -0,0 +1,67 @@
+// Reply options: tone, target length, number of variants and seed (validated by the schemas in utils/schemas.js)
+
+const TONES = {
+  match: 'matches the tone of the original content',
+  supportive: 'warm and encouraging, agrees with or builds on the thread',
+  skeptical: 'politely doubtful, points out a weakness or asks for evidence',
+  question: 'asks a thoughtful follow-up question',
+  humorous: 'light-hearted and witty without being mean',
+  professional: 'concise, neutral and businesslike'
+};
+
+// Named lengths map to a character budget; a number is taken as the budget itself
+const LENGTHS = {
+  short: 120,
+  medium: 240,
+  long: 400
+};
+
+const MIN_CHARS = 40;
+const MAX_CHARS = 500;
+const MAX_VARIANTS = 5;
+
+// Resolve options into { tones: [one tone per variant], maxChars, seed }.
+// Several tones without a count give one variant per tone; with a count the tones are cycled.
+function planReplies(options = {}) {
+  const tones = options.tone === undefined ? ['match'] : [].concat(options.tone);
+  const count = options.count || tones.length;
+
+  return {
+    tones: Array.from({ length: count }, (_, i) => tones[i % tones.length]),
+    maxChars: LENGTHS[options.length] || options.length || LENGTHS.short,
+    seed: options.seed
+  };
+}
+
+// Cut at a word boundary so the reply fits the budget
+function fitLength(text, maxChars) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxChars) return clean;
+
+  const cut = clean.substring(0, maxChars - 3);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > maxChars / 2 ? cut.substring(0, lastSpace) : cut).replace(/[,;:\s]+$/, '') + '...';
+}
+
+// Model output is asked to be {"replies": [{"tone", "text"}]}; falls back to one reply per line
+function parseReplyVariants(aiResponse, plan) {
+  let texts = [];
+
+  try {
+    const unfenced = aiResponse.replace(/```(?:json)?/gi, '');
+    const data = JSON.parse(unfenced.substring(unfenced.indexOf('{'), unfenced.lastIndexOf('}') + 1));
+    texts = (data.replies || [])
+      .map(reply => (typeof reply === 'string' ? reply : reply && reply.text))
+      .filter(text => typeof text === 'string' && text.trim());
+  } catch (error) {
+    texts = aiResponse.split('\n')
+      .map(line => line.replace(/^\s*(?:[-*]|\d+[.)])\s*/, '').replace(/^["“]|["”]$/g, '').trim())
+      .filter(line => line.length > 0);
+  }
+
+  return plan.tones
+    .map((tone, index) => texts[index] && { text: fitLength(texts[index], plan.maxChars), tone })
+    .filter(Boolean);
+}
+
+module.exports = { TONES, LENGTHS, MIN_CHARS, MAX_CHARS, MAX_VARIANTS, planReplies, fitLength, parseReplyVariants };
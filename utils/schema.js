@@ -0,0 +1,125 @@
+// Validation for the subset of JSON Schema our request schemas use (see utils/schemas.js):
+// type, enum, minLength, maxLength, pattern, minimum, maximum, items, minItems, maxItems,
+// properties, required, additionalProperties and anyOf. The same schema objects go into the
+// OpenAPI document unchanged, so anything added here must stay valid JSON Schema.
+
+// Pattern for strings that need at least one non-whitespace character
+const NOT_BLANK = '\\S';
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => [].concat(type).some(expected =>
+  expected === typeOf(value) || (expected === 'number' && typeof value === 'number' && isFinite(value))
+);
+
+const article = word => (/^[aeiou]/.test(word) ? `an ${word}` : `a ${word}`);
+
+// Short English description of what a schema accepts, for error messages
+function describe(schema) {
+  if (schema.enum) return `one of: ${schema.enum.join(', ')}`;
+  if (schema.anyOf) return schema.anyOf.map(describe).join(', or ');
+
+  const type = [].concat(schema.type || 'value').filter(name => name !== 'null').join(' or ');
+  if (schema.minimum !== undefined && schema.maximum !== undefined) {
+    return `${article(type)} between ${schema.minimum} and ${schema.maximum}`;
+  }
+  if (schema.minimum !== undefined) return `${article(type)} of at least ${schema.minimum}`;
+  if (schema.type === 'array' && schema.items) {
+    return schema.items.enum
+      ? `an array of values from: ${schema.items.enum.join(', ')}`
+      : `an array of ${describe(schema.items).replace(/^an? /, '')}s`;
+  }
+  return article(type);
+}
+
+// JSON Pointer (RFC 6901) for a property or index under `pointer`
+const child = (pointer, key) => `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+// "#/threadContent/posts/0/text" -> "threadContent.posts[0].text", as written in messages
+const fieldName = pointer => pointer.split('/').slice(1)
+  .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+  .reduce((name, segment) => (/^\d+$/.test(segment) ? `${name}[${segment}]` : name ? `${name}.${segment}` : segment), '') || 'body';
+
+// Problems with `value` as [{ pointer, detail }]; empty when it matches `schema`.
+// Pointers are URI fragments into the request body, e.g. "#/options/tone".
+function validate(schema, value, pointer = '#') {
+  const name = fieldName(pointer);
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ pointer, detail: `${name} must be ${describe(schema)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ pointer, detail: `${name} must be one of: ${schema.enum.join(', ')}` }];
+  }
+
+  const errors = [];
+  const fail = detail => errors.push({ pointer, detail: `${name} ${detail}` });
+
+  if (schema.anyOf && !schema.anyOf.some(option => validate(option, value, pointer).length === 0)) {
+    // Branches that only name required properties: "must include text or posts"
+    if (!schema.anyOf.every(option => option.required && !option.type)) {
+      return [{ pointer, detail: `${name} must be ${describe(schema)}` }];
+    }
+    fail(`must include ${schema.anyOf.map(option => option.required.join(' and ')).join(' or ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(schema.pattern === NOT_BLANK ? 'must not be blank' : `must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+      fail(`must be ${describe(schema)}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+      // Don't walk thousands of items past the limit
+      return errors;
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, child(pointer, index))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ pointer: child(pointer, key), detail: `${fieldName(child(pointer, key))} is required` });
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (value[key] === undefined) return;
+      if (properties[key]) {
+        errors.push(...validate(properties[key], value[key], child(pointer, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ pointer: child(pointer, key), detail: `${fieldName(child(pointer, key))} is not an allowed field` });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, value[key], child(pointer, key)));
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { validate, NOT_BLANK };
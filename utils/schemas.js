@@ -0,0 +1,309 @@
+// Request and response schemas for every endpoint. Request bodies are validated against these
+// (middleware/validate.js) and the OpenAPI document is built from them (utils/openapi.js).
+const config = require('../config');
+const providers = require('./providers');
+const { NOT_BLANK } = require('./schema');
+const { OUTPUT_MODES } = require('./summarizer');
+const { TONES, LENGTHS, MIN_CHARS, MAX_CHARS, MAX_VARIANTS } = require('./replies');
+const { MAX_POSTS, MAX_FIELD_LENGTH } = require('./thread');
+const { MAX_SEED } = require('./random');
+const { LABELS, STANCES } = require('./sentiment');
+const { PROBLEM_TYPES } = require('./problem');
+const { PLATFORM_NAMES } = require('./platforms');
+const { LANGUAGE_NAMES } = require('./language');
+
+const SENTIMENT_MODES = ['local', 'model'];
+
+const string = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const strings = (maxItems, maxLength) => ({ type: 'array', items: string(maxLength), maxItems });
+
+const TargetLanguage = {
+  type: 'string',
+  enum: ['auto', ...Object.keys(LANGUAGE_NAMES)],
+  description: "Language to answer in; 'auto' answers in the thread's own language (default: LANGUAGE_TARGET)"
+};
+
+// --- Requests ---
+
+const Post = {
+  type: 'object',
+  properties: {
+    id: { type: ['string', 'integer'], maxLength: MAX_FIELD_LENGTH },
+    author: { type: ['string', 'null'], maxLength: MAX_FIELD_LENGTH },
+    timestamp: { type: ['string', 'integer', 'null'], maxLength: 64, description: 'ISO 8601 date or epoch milliseconds' },
+    parentId: { type: ['string', 'integer', 'null'], maxLength: MAX_FIELD_LENGTH, description: 'id of the post this one replies to' },
+    text: string(config.api.maxPostChars, { pattern: NOT_BLANK })
+  },
+  required: ['id', 'text'],
+  additionalProperties: false
+};
+
+const ThreadContent = {
+  type: 'object',
+  description: 'Plain text, structured posts or the HTML of the thread page. When more than one is given, posts take precedence over html and html over text.',
+  properties: {
+    text: string(config.api.maxThreadChars, { pattern: NOT_BLANK }),
+    posts: { type: 'array', items: Post, minItems: 1, maxItems: MAX_POSTS },
+    html: string(config.api.maxHtmlChars, { pattern: NOT_BLANK, description: 'Page HTML, or a saved MHTML snapshot; the thread is extracted from it on the server' }),
+    url: string(2000, { description: 'Address of the page in html; helps pick the site extractor' }),
+    platform: { type: 'string', enum: PLATFORM_NAMES, description: 'Where the thread was copied from; picks the cleanup rules (default generic, or the site html was extracted from)' }
+  },
+  anyOf: [{ required: ['text'] }, { required: ['posts'] }, { required: ['html'] }],
+  additionalProperties: false
+};
+
+const ProvidersOption = {
+  description: 'Provider chain for this request, instead of the configured default',
+  anyOf: [
+    { type: 'array', items: { type: 'string', enum: providers.names() }, minItems: 1, maxItems: 10 },
+    { type: 'string', maxLength: 200, description: 'Comma-separated provider names' }
+  ]
+};
+
+const SummarizeOptions = {
+  type: 'object',
+  properties: {
+    outputMode: { type: 'string', enum: OUTPUT_MODES },
+    sentiment: { type: 'string', enum: SENTIMENT_MODES },
+    readingWpm: { type: 'integer', minimum: 50, maximum: 1000 },
+    maxModelCalls: { type: 'integer', minimum: 1, maximum: 50 },
+    regenerate: { type: 'boolean', description: 'Skip the cache and replace the cached answer' },
+    includeExtracted: { type: 'boolean', description: 'Return the thread text the summary was made from (see extracted in the response)' },
+    targetLanguage: TargetLanguage,
+    providers: ProvidersOption
+  },
+  additionalProperties: false
+};
+
+const SummarizeRequest = {
+  type: 'object',
+  properties: {
+    threadContent: ThreadContent,
+    options: SummarizeOptions
+  },
+  required: ['threadContent'],
+  additionalProperties: false
+};
+
+const IncrementalSummarizeRequest = {
+  type: 'object',
+  description: 'Without a cursor, threadContent is the whole thread and the session starts over; with one, only what was added since',
+  properties: {
+    threadId: string(500, { pattern: NOT_BLANK, description: 'Any id the client uses for the thread, e.g. its URL' }),
+    cursor: string(100, { description: 'From the previous response for this thread' }),
+    threadContent: ThreadContent,
+    options: SummarizeOptions
+  },
+  required: ['threadId', 'threadContent'],
+  additionalProperties: false
+};
+
+// The summary a client got from /summarize; only keyPoints is used, the rest is passed through
+const SummaryInput = {
+  type: 'object',
+  properties: {
+    keyPoints: strings(50, 2000),
+    quotes: strings(50, 2000)
+  },
+  required: ['keyPoints']
+};
+
+const tone = { type: 'string', enum: Object.keys(TONES) };
+
+const ReplyOptions = {
+  type: 'object',
+  properties: {
+    tone: { anyOf: [tone, { type: 'array', items: tone, minItems: 1, maxItems: MAX_VARIANTS }] },
+    length: { anyOf: [{ type: 'string', enum: Object.keys(LENGTHS) }, { type: 'integer', minimum: MIN_CHARS, maximum: MAX_CHARS }] },
+    count: { type: 'integer', minimum: 1, maximum: MAX_VARIANTS },
+    seed: { type: 'integer', minimum: 0, maximum: MAX_SEED, description: 'Same seed, same template replies; OpenAI and Gemini treat it as a best-effort sampling seed, Hugging Face ignores it' },
+    regenerate: { type: 'boolean', description: 'Skip the cache and replace the cached answer' },
+    targetLanguage: TargetLanguage,
+    providers: ProvidersOption
+  },
+  additionalProperties: false
+};
+
+const ReplyRequest = {
+  type: 'object',
+  properties: {
+    threadContent: ThreadContent,
+    summary: SummaryInput,
+    options: ReplyOptions
+  },
+  required: ['threadContent', 'summary'],
+  additionalProperties: false
+};
+
+const CreateKeyRequest = {
+  type: 'object',
+  properties: {
+    name: string(100),
+    tier: { type: 'string', enum: Object.keys(config.auth.tiers) },
+    dailyQuota: { type: ['integer', 'null'], minimum: 0, description: 'Overrides the tier quota' }
+  },
+  additionalProperties: false
+};
+
+// --- Responses ---
+
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+
+const Language = {
+  type: 'object',
+  properties: {
+    detected: { type: 'string', description: "The thread's language, detected locally; 'und' when it couldn't be told" },
+    confidence: { ...number, description: '0 to 1' },
+    target: { type: 'string', description: 'Language the answer was asked for' }
+  }
+};
+
+const Summary = {
+  type: 'object',
+  properties: {
+    keyPoints: strings(),
+    quotes: strings(),
+    quoteSources: {
+      type: 'array',
+      description: 'Post each quote came from (structured threads only); null when no post matches',
+      items: { type: ['object', 'null'], properties: { postId: { type: 'string' }, author: { type: ['string', 'null'] } } }
+    },
+    sentiment: { type: 'string', enum: LABELS },
+    sentimentScore: number,
+    sentimentSource: { type: 'string' },
+    sentimentTimeline: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          segment: integer,
+          position: number,
+          score: number,
+          label: { type: 'string', enum: LABELS },
+          postIds: strings()
+        }
+      }
+    },
+    participants: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { author: { type: 'string' }, posts: integer, sentimentScore: number, stance: { type: 'string', enum: STANCES } }
+      }
+    },
+    parseMode: { type: 'string' },
+    models: strings(),
+    chunks: { type: 'object', properties: { total: integer, processed: integer, skipped: integer, failed: integer } },
+    wordCount: integer,
+    sentenceCount: integer,
+    timeToRead: { type: 'integer', description: 'Minutes' },
+    readingTimeSeconds: integer,
+    script: { type: 'string' },
+    language: Language
+  }
+};
+
+const answered = {
+  success: { type: 'boolean' },
+  provider: { type: 'string' },
+  fallback: { type: 'boolean', description: 'An earlier provider in the chain failed or was unavailable' },
+  fromCache: { type: 'boolean' }
+};
+
+const SummarizeResponse = {
+  type: 'object',
+  properties: {
+    ...answered,
+    summary: Summary,
+    extracted: {
+      type: 'object',
+      description: 'Only with options.includeExtracted: the cleaned-up thread as the providers saw it',
+      properties: {
+        extractor: { type: ['string', 'null'], description: 'Site extractor that read threadContent.html; null for text and posts' },
+        platform: { type: 'string' },
+        title: { type: ['string', 'null'] },
+        posts: { type: ['integer', 'null'], description: 'Number of posts; null for unstructured text' },
+        text: { type: 'string' }
+      }
+    }
+  }
+};
+
+const IncrementalSummarizeResponse = {
+  type: 'object',
+  properties: {
+    ...answered,
+    threadId: { type: 'string' },
+    cursor: { type: 'string', description: 'Send with the next update' },
+    revision: { type: 'integer', description: 'Calls made for this session, starting at 1' },
+    expiresAt: { type: 'string', description: 'The session is forgotten after this unless updated' },
+    newPosts: { type: ['integer', 'null'], description: 'Posts added by this request; null for plain text' },
+    changes: {
+      type: ['array', 'null'],
+      items: { type: 'string' },
+      description: 'Key points of what was added since the previous update; null when the session (re)started'
+    },
+    summary: { ...Summary, description: 'The whole thread so far. chunks counts the added part only.' },
+    extracted: SummarizeResponse.properties.extracted
+  }
+};
+
+const ReplyResponse = {
+  type: 'object',
+  properties: {
+    ...answered,
+    seed: integer,
+    language: Language,
+    reply: { type: 'string', description: 'The first variant' },
+    variants: {
+      type: 'array',
+      items: { type: 'object', properties: { text: { type: 'string' }, tone: { type: 'string' }, model: { type: 'string' } } }
+    }
+  }
+};
+
+const Problem = {
+  type: 'object',
+  description: 'RFC 7807 problem details, served as application/problem+json',
+  properties: {
+    type: { type: 'string', enum: ['about:blank', ...Object.values(PROBLEM_TYPES).map(problem => problem.type)] },
+    title: { type: 'string' },
+    status: integer,
+    detail: { type: 'string' },
+    instance: { type: 'string' },
+    requestId: { type: 'string' },
+    errors: {
+      type: 'array',
+      description: 'Field-level problems (validation errors only)',
+      items: {
+        type: 'object',
+        properties: {
+          pointer: { type: 'string', description: 'JSON Pointer into the request body, as a URI fragment' },
+          detail: { type: 'string' }
+        }
+      }
+    },
+    retryAfter: { type: 'integer', description: 'Seconds (rate limit and quota errors)' },
+    error: { type: 'string', description: 'Same as title; kept for older clients' },
+    message: { type: 'string', description: 'Same as detail; kept for older clients' }
+  },
+  required: ['type', 'title', 'status']
+};
+
+module.exports = {
+  SENTIMENT_MODES,
+  Post,
+  ThreadContent,
+  SummarizeOptions,
+  SummarizeRequest,
+  IncrementalSummarizeRequest,
+  ReplyOptions,
+  ReplyRequest,
+  CreateKeyRequest,
+  Summary,
+  SummarizeResponse,
+  IncrementalSummarizeResponse,
+  ReplyResponse,
+  Problem
+};
@@ -0,0 +1,226 @@
+// Lexicon-based sentiment and stance analysis; needs no provider, so it's always available
+const { threadPlainText } = require('./thread');
+const { localeFor, hasLocale } = require('./locales');
+
+// Word weights from -3 (very negative) to 3 (very positive)
+const LEXICON = {
+  // positive
+  good: 2, great: 3, awesome: 3, amazing: 3, excellent: 3, fantastic: 3, wonderful: 3, brilliant: 3,
+  love: 3, loved: 3, loving: 2, like: 1, liked: 1, nice: 2, cool: 1, happy: 2, glad: 2, excited: 2,
+  helpful: 2, useful: 2, thanks: 2, thank: 2, appreciate: 2, appreciated: 2, impressive: 3, solid: 1,
+  best: 3, better: 2, improved: 2, improvement: 2, fixed: 1, works: 1, working: 1, fast: 1, easy: 1,
+  clean: 1, clear: 1, smooth: 2, reliable: 2, recommend: 2, recommended: 2, win: 2, success: 2,
+  successful: 2, perfect: 3, enjoy: 2, enjoyed: 2, fun: 2, interesting: 1, insightful: 2, agree: 1,
+  support: 1, beautiful: 3, elegant: 2, exciting: 2, promising: 2, worth: 1, valuable: 2, lol: 1,
+  // negative
+  bad: -2, terrible: -3, awful: -3, horrible: -3, worst: -3, worse: -2, hate: -3, hated: -3,
+  dislike: -2, sad: -2, angry: -3, annoying: -2, annoyed: -2, frustrating: -2, frustrated: -2,
+  broken: -2, bug: -1, bugs: -1, buggy: -2, crash: -2, crashes: -2, crashed: -2, fail: -2, failed: -2,
+  failure: -2, fails: -2, slow: -1, wrong: -2, problem: -1, problems: -1, issue: -1, issues: -1,
+  useless: -3, waste: -2, scam: -3, disappointing: -2, disappointed: -2, confusing: -1, confused: -1,
+  ugly: -2, stupid: -3, ridiculous: -2, overpriced: -2, expensive: -1, risky: -1, risk: -1,
+  concern: -1, concerned: -1, worried: -2, worry: -1, unfortunately: -1, sucks: -3, meh: -1,
+  disagree: -1, nonsense: -2, misleading: -2, unreliable: -2, regret: -2, painful: -2, pain: -1
+};
+
+const NEGATORS = new Set(['not', 'no', 'never', 'none', 'nothing', 'neither', 'nor', 'without', 'hardly', 'barely', "isn't", "wasn't", "aren't", "don't", "doesn't", "didn't", "can't", "couldn't", "won't", "wouldn't", "shouldn't", 'cannot']);
+const INTENSIFIERS = { very: 1.5, really: 1.5, extremely: 2, so: 1.3, super: 1.5, totally: 1.5, incredibly: 2, absolutely: 1.5, quite: 1.2, pretty: 1.1 };
+const EMOJI = { '👍': 2, '👏': 2, '🙌': 2, '❤️': 3, '❤': 3, '🔥': 2, '😀': 2, '😃': 2, '😄': 2, '😊': 2, '🎉': 3, '💯': 2, '😂': 1, '👎': -2, '😡': -3, '😠': -3, '😢': -2, '😭': -2, '🤮': -3, '💩': -3, '🙄': -1 };
+
+// Agreement / disagreement with what's being replied to, used for stance
+const AGREE = ['agree', 'exactly', 'this is it', 'well said', 'so true', '+1', 'same here', 'same', 'correct', 'good point', 'spot on', 'you are right', "you're right", 'absolutely', 'yes'];
+const DISAGREE = ['disagree', "don't think so", 'not true', 'wrong', 'nope', 'no way', 'doubt', 'not convinced', 'not really', "that's not", 'incorrect', 'misleading', 'nonsense', 'actually,'];
+
+const ENGLISH = { lexicon: LEXICON, negators: NEGATORS, agree: AGREE, disagree: DISAGREE };
+
+// Word lists for a language code: its locale's (see utils/locales) when it has them, English otherwise.
+// Emoji count in every language.
+const wordLists = new Map();
+function wordListsFor(code) {
+  if (!code || !hasLocale(code) || !localeFor(code).sentiment) return ENGLISH;
+  if (!wordLists.has(code)) {
+    const { lexicon, negators, agree, disagree } = localeFor(code).sentiment;
+    wordLists.set(code, { lexicon, negators: new Set(negators), agree, disagree });
+  }
+  return wordLists.get(code);
+}
+
+// Whole-word phrase matches, so "yes" doesn't fire on "eyes"
+const phrasePattern = (phrase, flags = 'u') => {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}])${escaped}($|[^\\p{L}])`, flags);
+};
+
+function countPhrases(lowerText, phrases) {
+  return phrases.filter(phrase => phrasePattern(phrase).test(lowerText)).length;
+}
+
+// Text with these phrases blanked out: "pas d'accord" must not also count as "d'accord"
+function withoutPhrases(lowerText, phrases) {
+  return phrases.reduce((text, phrase) => text.replace(phrasePattern(phrase, 'gu'), '$1 $2'), lowerText);
+}
+
+const TIMELINE_POINTS = 20;
+const LABEL_THRESHOLD = 0.1;
+
+// Score a piece of text in [-1, 1]; also returns raw positive/negative mass for "mixed" detection
+function scoreText(text, words = ENGLISH) {
+  const tokens = (text || '').toLowerCase().match(/[\p{L}']+|\p{Extended_Pictographic}️?/gu) || [];
+  let positive = 0;
+  let negative = 0;
+
+  tokens.forEach((token, index) => {
+    // Elided articles and pronouns ("j'adore", "l'app") don't change the word
+    const word = words.lexicon[token] === undefined && token.includes("'") ? token.slice(token.lastIndexOf("'") + 1) : token;
+    let weight = words.lexicon[word] !== undefined ? words.lexicon[word] : EMOJI[token];
+    if (weight === undefined) return;
+
+    // Look back up to three tokens for negation and one for intensity
+    const window = tokens.slice(Math.max(0, index - 3), index);
+    // French puts the "n'" on the word itself ("je n'aime pas")
+    if (window.some(previous => words.negators.has(previous) || previous.endsWith("n't")) || (word !== token && token.startsWith("n'"))) {
+      weight *= -0.75;
+    }
+    const intensifier = INTENSIFIERS[tokens[index - 1]];
+    if (intensifier) weight *= intensifier;
+
+    if (weight > 0) positive += weight;
+    else negative -= weight;
+  });
+
+  const total = positive - negative;
+  // Same normalisation as VADER: bounded and saturating for long texts
+  const score = total / Math.sqrt(total * total + 15);
+  return { score: round(score), positive, negative };
+}
+
+function labelFor({ score, positive, negative }) {
+  if (positive >= 2 && negative >= 2 && Math.abs(score) < 0.5) return 'mixed';
+  if (score >= LABEL_THRESHOLD) return 'positive';
+  if (score <= -LABEL_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Contiguous slices of the thread for the timeline: one per post (or per group of posts), or per group of lines
+function segmentThread(threadContent) {
+  const units = threadContent.posts
+    ? threadContent.posts.map(post => ({ text: post.text, postIds: [post.id] }))
+    : (threadContent.text || '').split('\n').filter(line => line.trim()).map(line => ({ text: line }));
+
+  const size = Math.ceil(units.length / TIMELINE_POINTS) || 1;
+  const segments = [];
+  for (let start = 0; start < units.length; start += size) {
+    const group = units.slice(start, start + size);
+    segments.push({
+      text: group.map(unit => unit.text).join('\n'),
+      position: units.length > 1 ? round(start / (units.length - 1)) : 0,
+      postIds: threadContent.posts ? group.flatMap(unit => unit.postIds) : undefined
+    });
+  }
+  return segments;
+}
+
+// How each known author relates to the thread: the opening author, or supportive/opposed/neutral/mixed
+function participantStances(posts, words = ENGLISH) {
+  const opener = posts.find(post => !post.parentId) || posts[0];
+  const byAuthor = new Map();
+
+  posts.forEach(post => {
+    if (!post.author) return;
+    const lower = post.text.toLowerCase();
+    const { score } = scoreText(post.text, words);
+    const agreement = countPhrases(withoutPhrases(lower, words.disagree), words.agree) - countPhrases(lower, words.disagree);
+    const signal = Math.sign(agreement) * 0.5 + score * 0.5;
+
+    const entry = byAuthor.get(post.author) || { author: post.author, posts: 0, scores: [], signals: [] };
+    entry.posts++;
+    entry.scores.push(score);
+    entry.signals.push(signal);
+    byAuthor.set(post.author, entry);
+  });
+
+  return Array.from(byAuthor.values()).map(entry => {
+    const average = values => round(values.reduce((sum, value) => sum + value, 0) / values.length);
+    const supportive = entry.signals.filter(signal => signal >= 0.15).length;
+    const opposed = entry.signals.filter(signal => signal <= -0.15).length;
+
+    let stance = 'neutral';
+    if (opener && entry.author === opener.author) stance = 'author';
+    else if (supportive > 0 && opposed > 0) stance = 'mixed';
+    else if (supportive > 0) stance = 'supportive';
+    else if (opposed > 0) stance = 'opposed';
+
+    return { author: entry.author, posts: entry.posts, sentimentScore: average(entry.scores), stance };
+  });
+}
+
+// Full local analysis: overall score and label, timeline across the thread, participant stances.
+// `language` ({ detected }, see utils/language.js) picks the word lists; English when not given.
+function analyzeThread(threadContent, language) {
+  const words = wordListsFor(language && language.detected);
+  const overall = scoreText(threadPlainText(threadContent), words);
+
+  return {
+    score: overall.score,
+    label: labelFor(overall),
+    timeline: segmentThread(threadContent).map((segment, index) => {
+      const scored = scoreText(segment.text, words);
+      return {
+        segment: index,
+        position: segment.position,
+        score: scored.score,
+        label: labelFor(scored),
+        ...(segment.postIds ? { postIds: segment.postIds } : {})
+      };
+    }),
+    participants: threadContent.posts ? participantStances(threadContent.posts, words) : []
+  };
+}
+
+const LABELS = ['positive', 'negative', 'neutral', 'mixed'];
+const STANCES = ['author', 'supportive', 'opposed', 'neutral', 'mixed'];
+
+// Model-backed variant of analyzeThread. `generate(prompt, { json })` returns raw model text;
+// the local segmentation is reused so both paths return the same timeline shape.
+async function analyzeWithModel(generate, threadContent, buildPrompt) {
+  const segments = segmentThread(threadContent);
+  const local = threadContent.posts ? participantStances(threadContent.posts) : [];
+  const authors = local.map(participant => participant.author);
+
+  const raw = await generate(buildPrompt(segments, authors), { json: true });
+  const unfenced = raw.replace(/```(?:json)?/gi, '');
+  const data = JSON.parse(unfenced.substring(unfenced.indexOf('{'), unfenced.lastIndexOf('}') + 1));
+
+  const isScore = value => typeof value === 'number' && value >= -1 && value <= 1;
+  if (!isScore(data.score) || !Array.isArray(data.segments) || data.segments.length !== segments.length ||
+      !data.segments.every(isScore)) {
+    throw new Error('Sentiment analysis response did not match the expected shape');
+  }
+
+  const stances = new Map((Array.isArray(data.participants) ? data.participants : [])
+    .filter(item => item && STANCES.includes(item.stance))
+    .map(item => [item.author, item.stance]));
+
+  const label = score => (score >= LABEL_THRESHOLD ? 'positive' : score <= -LABEL_THRESHOLD ? 'negative' : 'neutral');
+
+  return {
+    score: round(data.score),
+    label: LABELS.includes(data.label) ? data.label : label(data.score),
+    timeline: segments.map((segment, index) => ({
+      segment: index,
+      position: segment.position,
+      score: round(data.segments[index]),
+      label: label(data.segments[index]),
+      ...(segment.postIds ? { postIds: segment.postIds } : {})
+    })),
+    // Model stance where given, local estimate otherwise
+    participants: local.map(participant => ({
+      ...participant,
+      stance: stances.get(participant.author) || participant.stance
+    }))
+  };
+}
+
+module.exports = { scoreText, labelFor, segmentThread, analyzeThread, analyzeWithModel, LABELS, STANCES };
@@ -0,0 +1,107 @@
+// Incremental summary sessions, for threads that are summarized again as they grow
+// (/api/summarize/incremental). A session holds the thread so far and its latest summary, keyed
+// by client and thread id. Each update hands out a new cursor; the client sends it back with
+// only the posts added since, and an update with an old cursor is refused rather than applied twice.
+// Sessions stay on this server (memory or file store) and expire after config.sessions.ttlSeconds.
+const crypto = require('crypto');
+const config = require('../config');
+const MemoryStore = require('./cache/memoryStore');
+const FileStore = require('./cache/fileStore');
+const { formatPosts } = require('./thread');
+
+function createStore() {
+  const options = config.sessions;
+  switch (options.store) {
+    case 'file':
+      return new FileStore(options);
+    case 'memory':
+      return new MemoryStore(options);
+    default:
+      throw new Error(`Unknown SESSION_STORE "${options.store}" (expected memory or file)`);
+  }
+}
+
+const store = createStore();
+
+const sessionKey = (owner, threadId) => `session:${owner}:${threadId}`;
+const newCursor = () => crypto.randomBytes(12).toString('base64url');
+
+async function get(owner, threadId) {
+  return store.get(sessionKey(owner, threadId));
+}
+
+// Store a session (a new cursor and revision are assigned); returns it with its expiry
+async function save(owner, threadId, session) {
+  const saved = {
+    ...session,
+    threadId,
+    cursor: newCursor(),
+    revision: (session.revision || 0) + 1,
+    updatedAt: new Date().toISOString()
+  };
+  const key = sessionKey(owner, threadId);
+  await store.set(key, saved, config.sessions.ttlSeconds);
+  const expiresAt = await store.expiresAt(key);
+  return { ...saved, expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null };
+}
+
+// Updates to one session run one after another, so two requests holding the same cursor can't both apply
+const queues = new Map();
+
+function exclusive(owner, threadId, task) {
+  const key = sessionKey(owner, threadId);
+  const current = (queues.get(key) || Promise.resolve()).then(task);
+  const settled = current.catch(() => {});
+  queues.set(key, settled);
+  settled.then(() => {
+    if (queues.get(key) === settled) queues.delete(key);
+  });
+  return current;
+}
+
+// The stored thread plus normalized additions: { thread, added }, where `added` is the part that's
+// new. Posts already in the session (same id) are skipped, so resending a few is harmless; replies to
+// posts that were never sent become top-level. Old posts (or text) are dropped once the thread holds
+// more than config.sessions.maxThreadChars, newest kept. Throws a 400 error when the shapes differ.
+function appendThread(stored, additions) {
+  if (Boolean(stored.posts) !== Boolean(additions.posts)) {
+    const error = new Error(stored.posts
+      ? 'This session holds structured posts; send the new ones in threadContent.posts'
+      : 'This session holds plain text; send the new text in threadContent.text');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!stored.posts) {
+    const text = `${stored.text}\n\n${additions.text}`;
+    return {
+      thread: { ...stored, text: text.substring(Math.max(0, text.length - config.sessions.maxThreadChars)) },
+      added: additions
+    };
+  }
+
+  const known = new Set(stored.posts.map(post => post.id));
+  const fresh = additions.posts.filter(post => !known.has(post.id));
+  fresh.forEach(post => known.add(post.id));
+  const newPosts = fresh.map(post => ({ ...post, parentId: post.parentId && known.has(post.parentId) ? post.parentId : null }));
+
+  let posts = stored.posts.concat(newPosts);
+  let totalChars = posts.reduce((total, post) => total + post.text.length, 0);
+  if (totalChars > config.sessions.maxThreadChars) {
+    let cut = 0;
+    while (cut < posts.length - 1 && totalChars > config.sessions.maxThreadChars) {
+      totalChars -= posts[cut].text.length;
+      cut++;
+    }
+    posts = posts.slice(cut);
+    const kept = new Set(posts.map(post => post.id));
+    posts = posts.map(post => (post.parentId && !kept.has(post.parentId) ? { ...post, parentId: null } : post));
+  }
+
+  return {
+    thread: { ...stored, posts, text: formatPosts(posts) },
+    added: { ...additions, posts: newPosts, text: formatPosts(newPosts, posts) }
+  };
+}
+
+module.exports = { get, save, exclusive, appendThread };
@@ -0,0 +1,75 @@
+const config = require('../config');
+const {
+  summaryPrompt,
+  structuredSummaryPrompt,
+  repairPrompt,
+  mergePrompt,
+  structuredMergePrompt
+} = require('./prompts');
+const { parseSummaryResponse, parseStructuredSummary } = require('./parser');
+const { logger } = require('./logger');
+
+const OUTPUT_MODES = ['json', 'text'];
+
+// Shared summarize flow for chat-style providers. `generate(prompt, { json })` returns raw model text.
+// JSON mode: ask for JSON, validate, one repair attempt, then free-text parsing as the last resort.
+async function summarizeWithModel(generate, threadContent, options = {}) {
+  return runPrompt(generate, options, {
+    text: () => summaryPrompt(threadContent, options.language),
+    json: () => structuredSummaryPrompt(threadContent, options.language)
+  });
+}
+
+// Reduce step of map-reduce summarization, same parsing rules as above
+async function mergeWithModel(generate, partials, options = {}) {
+  return runPrompt(generate, options, {
+    text: () => mergePrompt(partials, options.language),
+    json: () => structuredMergePrompt(partials, options.language)
+  });
+}
+
+// Streaming always uses the line-based prompt: partial JSON is useless to show while it arrives.
+// `streamText(prompt)` yields text deltas; each one is passed to onDelta as it comes in.
+async function streamSummaryWithModel(streamText, threadContent, onDelta, options = {}) {
+  let rawResponse = '';
+  for await (const delta of streamText(summaryPrompt(threadContent, options.language))) {
+    if (!delta) continue;
+    rawResponse += delta;
+    onDelta(delta);
+  }
+  return parseSummaryResponse(rawResponse);
+}
+
+async function runPrompt(generate, options, prompts) {
+  const mode = options.outputMode || config.summary.outputMode;
+
+  if (mode !== 'json') {
+    const rawResponse = await generate(prompts.text(), { json: false });
+    return parseSummaryResponse(rawResponse);
+  }
+
+  const rawResponse = await generate(prompts.json(), { json: true });
+  const firstAttempt = parseStructuredSummary(rawResponse);
+  if (firstAttempt.summary) {
+    return { ...firstAttempt.summary, parseMode: 'json' };
+  }
+
+  logger.warn('Structured summary invalid, asking model to repair', { errors: firstAttempt.errors });
+
+  try {
+    const repairedResponse = await generate(repairPrompt(rawResponse, firstAttempt.errors), { json: true });
+    const secondAttempt = parseStructuredSummary(repairedResponse);
+    if (secondAttempt.summary) {
+      return { ...secondAttempt.summary, parseMode: 'json-repair' };
+    }
+    logger.warn('Repaired summary still invalid', { errors: secondAttempt.errors });
+  } catch (error) {
+    if (error.cancelled) throw error;
+    logger.warn('Summary repair call failed', { error });
+  }
+
+  // Last resort: scrape the original output line by line
+  return parseSummaryResponse(rawResponse);
+}
+
+module.exports = { summarizeWithModel, mergeWithModel, streamSummaryWithModel, OUTPUT_MODES };
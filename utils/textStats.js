@@ -0,0 +1,93 @@
+const config = require('../config');
+
+// Local text statistics: the same numbers for every provider, whatever the model says
+
+const SCRIPTS = {
+  latin: /\p{Script=Latin}/u,
+  cyrillic: /\p{Script=Cyrillic}/u,
+  greek: /\p{Script=Greek}/u,
+  arabic: /\p{Script=Arabic}/u,
+  hebrew: /\p{Script=Hebrew}/u,
+  devanagari: /\p{Script=Devanagari}/u,
+  thai: /\p{Script=Thai}/u,
+  hangul: /\p{Script=Hangul}/u,
+  han: /\p{Script=Han}/u,
+  kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u
+};
+
+// Locale handed to Intl.Segmenter so scripts without spaces are split into real words
+const SEGMENTER_LOCALES = { han: 'zh', kana: 'ja', hangul: 'ko', thai: 'th' };
+
+// Characters read one by one rather than as space-separated words
+const CJK_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+// Dominant script among the letters of the text
+function detectScript(text) {
+  const counts = {};
+  for (const char of text) {
+    if (!/\p{L}/u.test(char)) continue;
+    const script = Object.keys(SCRIPTS).find(name => SCRIPTS[name].test(char)) || 'other';
+    counts[script] = (counts[script] || 0) + 1;
+  }
+
+  // Japanese mixes kanji with kana; any real amount of kana makes it Japanese
+  if (counts.kana && counts.kana >= (counts.han || 0) * 0.2) return 'kana';
+
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : 'none';
+}
+
+function segment(text, locale, granularity) {
+  if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+  return Array.from(new Intl.Segmenter(locale, { granularity }).segment(text));
+}
+
+function countWords(text, script) {
+  const segments = segment(text, SEGMENTER_LOCALES[script] || 'en', 'word');
+  if (segments) {
+    return segments.filter(part => part.isWordLike).length;
+  }
+  // No ICU: space-separated tokens, with every CJK character counted on its own
+  const cjk = (text.match(new RegExp(CJK_CHAR.source, 'gu')) || []).length;
+  const rest = text.replace(new RegExp(CJK_CHAR.source, 'gu'), ' ').match(/[\p{L}\p{N}]+/gu) || [];
+  return cjk + rest.length;
+}
+
+function countSentences(text, script) {
+  const segments = segment(text, SEGMENTER_LOCALES[script] || 'en', 'sentence');
+  const sentences = segments
+    ? segments.map(part => part.segment)
+    : text.split(/(?<=[.!?。！？])\s*|\n+/);
+  return sentences.filter(sentence => /[\p{L}\p{N}]/u.test(sentence)).length;
+}
+
+// { wordCount, sentenceCount, characterCount, script, timeToRead (minutes), readingTimeSeconds }
+// CJK characters are timed in characters per minute, everything else in words per minute.
+function computeTextStats(text, options = {}) {
+  const source = (text || '').trim();
+  const wpm = options.readingWpm || config.reading.wpm;
+  const cpm = config.reading.cjkCpm;
+
+  if (!source) {
+    return { wordCount: 0, sentenceCount: 0, characterCount: 0, script: 'none', timeToRead: 0, readingTimeSeconds: 0 };
+  }
+
+  const script = detectScript(source);
+  const wordCount = countWords(source, script);
+  const cjkChars = (source.match(new RegExp(CJK_CHAR.source, 'gu')) || []).length;
+  const otherWords = cjkChars > 0
+    ? countWords(source.replace(new RegExp(CJK_CHAR.source, 'gu'), ' '), 'latin')
+    : wordCount;
+  const seconds = Math.round((otherWords / wpm + cjkChars / cpm) * 60);
+
+  return {
+    wordCount,
+    sentenceCount: countSentences(source, script),
+    characterCount: Array.from(source).length,
+    script,
+    timeToRead: Math.max(1, Math.ceil(seconds / 60)),
+    readingTimeSeconds: seconds
+  };
+}
+
+module.exports = { computeTextStats, detectScript, countWords, countSentences };
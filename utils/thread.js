@@ -0,0 +1,182 @@
+// Structured thread input: threadContent.posts = [{ id, author, timestamp, parentId, text }]
+const config = require('../config');
+const { cleanThread } = require('./platforms');
+const { extractThread } = require('./extractors');
+
+const MAX_POSTS = 2000;
+const MAX_FIELD_LENGTH = 200;
+
+// Extraction results by threadContent object: validation, the cache key and the provider call
+// all need the thread from the same request body, and parsing the page once is enough
+const extracted = new WeakMap();
+
+// threadContent with html replaced by what was extracted from it ({ posts } or { text }, plus
+// platform, extractor and title). A platform given in the request wins over the detected one.
+// Unchanged when there's no html, or when posts were given as well (they take precedence).
+function resolveHtml(threadContent) {
+  if (!threadContent.html || threadContent.posts) return threadContent;
+  if (!extracted.has(threadContent)) {
+    const { html, url, text, ...rest } = threadContent;
+    const result = extractThread(html, url, { maxPosts: MAX_POSTS });
+    extracted.set(threadContent, { ...result, ...rest, platform: rest.platform || result.platform });
+  }
+  return extracted.get(threadContent);
+}
+
+// Checks the request schema can't express: unique ids, replies to posts that exist, parseable
+// timestamps, the total size of all posts and, for html, that a thread can be read from the page. Runs after schema validation, so the shapes are right.
+// Returns [{ pointer, detail }] like utils/schema.js; empty when the thread is usable.
+// With externalParents, replies may point at posts sent in an earlier request (incremental sessions).
+function threadContentErrors(threadContent, { externalParents = false } = {}) {
+  if (threadContent.html && !threadContent.posts) {
+    try {
+      resolveHtml(threadContent);
+      return [];
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      return [{ pointer: '#/threadContent/html', detail: error.message }];
+    }
+  }
+  if (!threadContent.posts) return [];
+
+  const errors = [];
+  const ids = new Set();
+  const at = index => `#/threadContent/posts/${index}`;
+  const posts = threadContent.posts;
+
+  posts.forEach((post, index) => {
+    if (ids.has(String(post.id))) {
+      errors.push({ pointer: `${at(index)}/id`, detail: `threadContent.posts[${index}].id "${post.id}" is duplicated` });
+    }
+    ids.add(String(post.id));
+    if (post.timestamp !== undefined && post.timestamp !== null && isNaN(new Date(post.timestamp).getTime())) {
+      errors.push({ pointer: `${at(index)}/timestamp`, detail: `threadContent.posts[${index}].timestamp must be an ISO date string or epoch milliseconds` });
+    }
+  });
+
+  // Second pass so replies may reference posts that appear later in the array
+  posts.forEach((post, index) => {
+    if (externalParents) return;
+    if (post.parentId !== undefined && post.parentId !== null && !ids.has(String(post.parentId))) {
+      errors.push({ pointer: `${at(index)}/parentId`, detail: `threadContent.posts[${index}].parentId "${post.parentId}" does not match any post id` });
+    }
+  });
+
+  const totalChars = posts.reduce((total, post) => total + post.text.length, 0);
+  if (totalChars > config.api.maxThreadChars) {
+    errors.push({ pointer: '#/threadContent/posts', detail: `threadContent.posts hold ${totalChars} characters of text; the limit is ${config.api.maxThreadChars}` });
+  }
+
+  return errors;
+}
+
+// Canonical post objects plus a text rendering that keeps who said what, with the platform's
+// UI noise, quoted duplicates and repeated posts removed (see utils/platforms).
+// Threads given as html are extracted first (see utils/extractors).
+function normalizeThread(input) {
+  const threadContent = resolveHtml(input);
+  if (!threadContent.posts) {
+    return cleanThread(threadContent);
+  }
+
+  const posts = threadContent.posts.map(post => ({
+    id: String(post.id),
+    author: post.author ? post.author.trim() : null,
+    timestamp: post.timestamp !== undefined && post.timestamp !== null
+      ? new Date(post.timestamp).toISOString()
+      : null,
+    parentId: post.parentId !== undefined && post.parentId !== null ? String(post.parentId) : null,
+    text: post.text.trim()
+  }));
+
+  const cleaned = cleanThread({ ...threadContent, posts });
+  return { ...cleaned, text: formatPosts(cleaned.posts, cleaned.posts) };
+}
+
+// One post per line: [id] author (time) replying to parentAuthor [parentId]: text
+function formatPosts(posts, allPosts = posts) {
+  const byId = new Map(allPosts.map(post => [post.id, post]));
+
+  return posts.map(post => {
+    const time = post.timestamp ? ` (${post.timestamp.replace('T', ' ').substring(0, 16)} UTC)` : '';
+    const parent = post.parentId ? byId.get(post.parentId) : null;
+    const replyTo = parent ? ` replying to ${parent.author || 'unknown'} [${parent.id}]` : '';
+    const text = post.text.replace(/\s*\n\s*/g, ' ');
+    return `[${post.id}] ${post.author || 'unknown'}${time}${replyTo}: ${text}`;
+  }).join('\n');
+}
+
+// Group posts into chunks whose rendered text stays under maxChars (map-reduce input)
+function chunkPosts(posts, maxChars) {
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  for (const post of posts) {
+    const postLength = formatPosts([post], posts).length + 1;
+    if (current.length > 0 && length + postLength > maxChars) {
+      chunks.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(post);
+    length += postLength;
+  }
+  if (current.length > 0) chunks.push(current);
+
+  return chunks.map(group => ({
+    posts: group,
+    text: formatPosts(group, posts).substring(0, Math.max(maxChars, 1))
+  }));
+}
+
+// Just what people wrote: post bodies for structured threads, the text blob otherwise
+function threadPlainText(threadContent) {
+  return threadContent.posts
+    ? threadContent.posts.map(post => post.text).join('\n')
+    : threadContent.text || '';
+}
+
+const normalizeForMatch = text => text
+  .toLowerCase()
+  .replace(/\.{3}$|…$/, '')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// Point each quote back to the post it came from; null when no post matches well enough
+function attributeQuotes(quotes, posts) {
+  const candidates = posts.map(post => ({ post, normalized: normalizeForMatch(post.text) }));
+
+  return quotes.map(quote => {
+    // Models sometimes keep the "[id]" prefix from the prompt
+    const idMatch = quote.match(/^\s*\[([^\]]+)\]/);
+    if (idMatch) {
+      const post = posts.find(candidate => candidate.id === idMatch[1]);
+      if (post) return { postId: post.id, author: post.author };
+    }
+
+    const needle = normalizeForMatch(quote.replace(/^\s*\[[^\]]+\]\s*/, ''));
+    if (!needle) return null;
+
+    const exact = candidates.find(candidate => candidate.normalized.includes(needle));
+    if (exact) return { postId: exact.post.id, author: exact.post.author };
+
+    // Paraphrased quote: best word overlap, at least half of the quote's words
+    const words = new Set(needle.split(' '));
+    let best = null;
+    let bestScore = 0.5;
+    for (const candidate of candidates) {
+      const postWords = new Set(candidate.normalized.split(' '));
+      let shared = 0;
+      words.forEach(word => { if (postWords.has(word)) shared++; });
+      const score = shared / words.size;
+      if (score > bestScore) {
+        best = candidate.post;
+        bestScore = score;
+      }
+    }
+    return best ? { postId: best.id, author: best.author } : null;
+  });
+}
+
+module.exports = { threadContentErrors, normalizeThread, formatPosts, chunkPosts, attributeQuotes, threadPlainText, MAX_POSTS, MAX_FIELD_LENGTH };
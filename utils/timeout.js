@@ -0,0 +1,113 @@
+// Deadlines and cancellation for provider calls. Every call gets an AbortSignal that fires on
+// timeout or when the parent signal (the client's request) aborts, so the underlying HTTP
+// request is cancelled rather than left running.
+
+const metrics = require('./metrics');
+
+// Work stopped early, counted for /health: requests the client gave up on (never held against a
+// provider's circuit) and calls we gave up on ourselves. Kept in separate metrics, since only
+// timeouts point at a slow provider.
+const cancellations = { disconnects: 0, timeouts: 0 };
+
+metrics.registry.gauge('cancellations_total', 'Work cancelled because the client disconnected', ['reason'], () => [
+  { labels: { reason: 'disconnect' }, value: cancellations.disconnects }
+], 'counter');
+metrics.registry.gauge('timeouts_total', 'Provider calls stopped because they ran past their deadline', [], () => [
+  { value: cancellations.timeouts }
+], 'counter');
+
+function cancelledError(message = 'Request cancelled') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  error.cancelled = true;
+  return error;
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw cancelledError(signal.reason && signal.reason.message);
+  }
+}
+
+// A controller that also aborts when `parent` does; call unlink() once it's no longer needed
+function linkedController(parent) {
+  const controller = new AbortController();
+  if (!parent) {
+    return { controller, unlink: () => {} };
+  }
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent.aborted) onAbort();
+  else parent.addEventListener('abort', onAbort, { once: true });
+  return { controller, unlink: () => parent.removeEventListener('abort', onAbort) };
+}
+
+// Run operation(signal), rejecting (and aborting the signal) if it doesn't settle in time
+async function callWithTimeout(operation, timeoutMs, parentSignal) {
+  throwIfCancelled(parentSignal);
+  const { controller, unlink } = linkedController(parentSignal);
+
+  return new Promise((resolve, reject) => {
+    // Client gone: stop the clock too, so an operation that ignores its signal isn't counted as a timeout later
+    const onCancel = () => {
+      clearTimeout(timeout);
+      unlink();
+      reject(cancelledError(parentSignal.reason && parentSignal.reason.message));
+    };
+    const timeout = setTimeout(() => {
+      const error = new Error(`Operation timed out after ${timeoutMs}ms`);
+      error.timeout = true;
+      cancellations.timeouts++;
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+    if (parentSignal) parentSignal.addEventListener('abort', onCancel, { once: true });
+
+    const settle = () => {
+      clearTimeout(timeout);
+      unlink();
+      if (parentSignal) parentSignal.removeEventListener('abort', onCancel);
+    };
+
+    Promise.resolve()
+      .then(() => operation(controller.signal))
+      .then((result) => {
+        settle();
+        resolve(result);
+      })
+      .catch((error) => {
+        settle();
+        reject(error);
+      });
+  });
+}
+
+// Iterate a stream, failing if the gap between two items exceeds timeoutMs or the signal aborts
+async function* withIdleTimeout(iterable, timeoutMs, signal) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  try {
+    while (true) {
+      const { value, done } = await callWithTimeout(() => iterator.next(), timeoutMs, signal);
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    // Stopped early: let the source release its reader
+    if (typeof iterator.return === 'function') {
+      Promise.resolve(iterator.return()).catch(() => {});
+    }
+  }
+}
+
+function cancellationStats() {
+  return { ...cancellations };
+}
+
+module.exports = {
+  callWithTimeout,
+  withIdleTimeout,
+  linkedController,
+  cancelledError,
+  throwIfCancelled,
+  cancellations,
+  cancellationStats
+};